@@ -0,0 +1,48 @@
+/* # Node.js worker entry point
+ *
+ * Provides the parts of the web worker global scope `workerpool-worker.js`
+ * relies on (`self`, `postMessage`, `addEventListener` and `importScripts`)
+ * on top of `worker_threads` and starts the worker.
+ */
+(function(global, undefined) { "use strict";
+
+var worker_threads = require("worker_threads");
+var path = require("path");
+var fs = require("fs");
+var vm = require("vm");
+
+var LIBRARY_ROOT = path.join(__dirname, "..");
+
+global.self = global;
+
+global.postMessage = function(msg, transferables) {
+	worker_threads.parentPort.postMessage(msg, transferables);
+};
+
+global.addEventListener = function(type, listener) {
+	if(type !== "message") {
+		throw new Error("Unsupported event type <" + type + "> in node worker");
+	}
+
+	worker_threads.parentPort.on("message", function(data) {
+		listener({data: data});
+	});
+};
+
+// only used by the library to load its own scripts
+global.importScripts = function() {
+	for(var i = 0; i < arguments.length; ++i) {
+		var filename = arguments[i].indexOf("node_modules/") === 0 ?
+			require.resolve(arguments[i].slice("node_modules/".length), {paths: [LIBRARY_ROOT]}) :
+			path.resolve(LIBRARY_ROOT, arguments[i]);
+
+		vm.runInThisContext(fs.readFileSync(filename, "utf8"), {filename: filename});
+	}
+};
+
+global.importScripts("workerpool-worker.js");
+
+// registers the node backend for loading worker scripts
+require("./node.js");
+
+})(global);
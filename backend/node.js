@@ -0,0 +1,204 @@
+/*globals
+	WorkerPool,
+	format_string
+*/
+/* # Node.js backend
+ *
+ * Runs the worker pool on `worker_threads`. Requiring this file loads the
+ * library into the global scope (if it was not loaded before) and makes
+ * `WorkerPool.NODE_BACKEND` the default backend:
+ *
+ * ```js
+ * require("concurrency-js/backend/node.js");
+ *
+ * var pool = new WorkerPool(["lib/filters.js"]);
+ * pool.run_task(new Task("blur", [img])).then(...);
+ * ```
+ *
+ * Worker scripts are loaded using `require` relative to the current working
+ * directory. All properties exported by a worker script are made available
+ * in the global scope of the worker, so that tasks can look them up by name.
+ * The option `module_worker` of `WorkerPool` imports them as ES modules
+ * instead; the threads themselves are the same for both kinds of workers.
+ * The option `inline_worker` is not supported.
+ *
+ * Threads that end without an error, e.g. by `process.exit()` in a task, are
+ * reported like uncaught errors that end the thread.
+ *
+ * Note that running workers keep the process alive until the pool is
+ * terminated.
+ */
+(function(global, undefined) { "use strict";
+
+var worker_threads = require("worker_threads");
+var events = require("events");
+var path = require("path");
+var url = require("url");
+var fs = require("fs");
+var os = require("os");
+var vm = require("vm");
+
+var LIBRARY_ROOT = path.join(__dirname, "..");
+
+var MSG_WORKER_EXITED = "Worker thread exited with code {0}.";
+
+var LIBRARY_SCRIPTS = [
+	"defeeredresultvariable.js",
+	"task.js",
+	"workerpool.js",
+	"packer/defeeredresultvariable.js",
+	"sharedmemory.js",
+	"packer/sharedmemory.js",
+	"graph.js",
+	"pipeline.js"
+];
+
+/**
+ * Evaluates a file in the global scope, like `importScripts` or a script tag
+ * would do.
+ */
+function load_classic_script(filename) {
+	vm.runInThisContext(fs.readFileSync(filename, "utf8"), {filename: filename});
+}
+
+/**
+ * Resolves a path used by the library to import its own scripts.
+ */
+function resolve_library_script(url) {
+	if(url.indexOf("node_modules/") === 0) {
+		return require.resolve(url.slice("node_modules/".length), {paths: [LIBRARY_ROOT]});
+	}
+
+	return path.resolve(LIBRARY_ROOT, url);
+}
+
+if(typeof global.ASSERT === "undefined") {
+	load_classic_script(resolve_library_script("node_modules/assert-js/assert.js"));
+}
+
+if(typeof global.EventEmitter === "undefined") {
+	global.EventEmitter = events.EventEmitter;
+}
+
+if(typeof global.WorkerPool === "undefined") {
+	for(var i = 0; i < LIBRARY_SCRIPTS.length; ++i) {
+		load_classic_script(resolve_library_script(LIBRARY_SCRIPTS[i]));
+	}
+}
+
+/**
+ * Wraps a `worker_threads.Worker` to provide the interface of a web worker.
+ */
+function NodeWorker(script_url) {
+	ASSERT_IS_CTOR(this, NodeWorker);
+
+	this.onmessage = null;
+	this.onerror = null;
+
+	// set once the thread was terminated by the pool or ended by an error
+	this._ended = false;
+
+	this._worker = new worker_threads.Worker(script_url);
+
+	this._worker.on("message", (function(self) { return function(data) {
+		if(typeof self.onmessage === "function") {
+			self.onmessage({data: data, target: self});
+		}
+	};})(this));
+
+	// uncaught exceptions end the thread. Workers may throw values that are
+	// not errors.
+	this._worker.on("error", (function(self) { return function(err) {
+		var error = err instanceof Error ? err : new Error(String(err));
+
+		self._fail(error);
+	};})(this));
+
+	// threads may also end without an error, e.g. by `process.exit()`
+	this._worker.on("exit", (function(self) { return function(code) {
+		self._fail(new Error(format_string(MSG_WORKER_EXITED, code)));
+	};})(this));
+}
+
+/**
+ * Reports the end of the thread using `onerror`, unless the thread was
+ * terminated or its end reported before.
+ */
+NodeWorker.prototype._fail = function(error) {
+	if(this._ended) {
+		return;
+	}
+
+	this._ended = true;
+
+	if(typeof this.onerror === "function") {
+		this.onerror({message: error.message, error: error, fatal: true, target: this});
+	}
+};
+
+NodeWorker.prototype.postMessage = function(msg, transferables) {
+	this._worker.postMessage(msg, transferables);
+};
+
+NodeWorker.prototype.terminate = function() {
+	this._ended = true;
+	this._worker.terminate();
+};
+
+WorkerPool.NODE_BACKEND = {
+	// worker_threads support ES modules in all threads. The worker type is
+	// not needed.
+	create_worker: function(script_url) {
+		return new NodeWorker(script_url);
+	},
+
+	worker_script: function() {
+		return path.join(__dirname, "node-worker.js");
+	},
+
+	module_worker_script: function() {
+		return path.join(__dirname, "node-worker.js");
+	},
+
+	worker_script_root: function() {
+		return process.cwd();
+	},
+
+	resolve_url: function(url) {
+		return path.resolve(url);
+	},
+
+	load_script: function(url) {
+		var exported = require(path.resolve(url));
+
+		for(var name in exported) {
+			if(exported.hasOwnProperty(name)) {
+				global[name] = exported[name];
+			}
+		}
+	},
+
+	// paths are imported as files, everything else as module specifier
+	import_module: function(specifier) {
+		if(path.isAbsolute(specifier) || specifier.indexOf("./") === 0 || specifier.indexOf("../") === 0) {
+			specifier = url.pathToFileURL(path.resolve(specifier)).href;
+		}
+
+		return import(specifier);
+	},
+
+	number_of_cpus: function() {
+		return os.cpus().length || 1;
+	},
+
+	globals: function() {
+		return [
+			"process", "require", "module", "exports", "Buffer", "global",
+			"__dirname", "__filename", "setImmediate", "clearImmediate"
+		];
+	}
+};
+
+WorkerPool.backend = WorkerPool.NODE_BACKEND;
+
+})(global);
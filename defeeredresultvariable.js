@@ -1,8 +1,10 @@
-;(function(global) { "use strict";
+;(function defeeredresultvariable_module(global) { "use strict";
 
 global.LateStaticBinding = LateStaticBinding;
 global.DefeeredResult = DefeeredResult;
 global.AsyncResult = AsyncResult;
+global.ProgressReporter = ProgressReporter;
+global.StreamResult = StreamResult;
 global.Await = Await;
 
 global.RESULT_OF = RESULT_OF;
@@ -10,6 +12,12 @@ global.REFERENCE_TO_RESULT_OF = REFERENCE_TO_RESULT_OF;
 global.AWAIT = AWAIT;
 global.ASYNC_RESULT = ASYNC_RESULT;
 global.ASYNC = ASYNC_RESULT;
+global.ASYNC_MULTI = ASYNC_MULTI;
+global.ASYNC_ERROR_FIRST = ASYNC_ERROR_FIRST;
+global.ASYNC_RESOLVE = ASYNC_RESOLVE;
+global.ASYNC_REJECT = ASYNC_REJECT;
+global.PROGRESS = PROGRESS;
+global.STREAM = STREAM;
 global.VARIABLE = VARIABLE;
 
 function RESULT_OF(a,b) {
@@ -28,6 +36,30 @@ function ASYNC_RESULT() {
 	return new AsyncResult();
 }
 
+function ASYNC_MULTI() {
+	return new AsyncResult(AsyncResult.RESULT, true);
+}
+
+function ASYNC_ERROR_FIRST(multiple) {
+	return new AsyncResult(AsyncResult.ERROR_FIRST, multiple);
+}
+
+function ASYNC_RESOLVE(multiple) {
+	return new AsyncResult(AsyncResult.RESOLVE, multiple);
+}
+
+function ASYNC_REJECT() {
+	return new AsyncResult(AsyncResult.REJECT);
+}
+
+function PROGRESS() {
+	return new ProgressReporter();
+}
+
+function STREAM() {
+	return new StreamResult();
+}
+
 function VARIABLE(varname) {
 	return new LateStaticBinding(varname);
 }
@@ -60,9 +92,43 @@ function DefeeredResult(dependency, then, pass_ref) {
 
 /**
  * Marks a parameter that takes a callback in a async method call.
+ *
+ * @param {string} [kind] how the callback reports the outcome:
+ * - `AsyncResult.RESULT`: called with the result (default)
+ * - `AsyncResult.ERROR_FIRST`: called with an error, or `null` followed by the
+ *   result, e.g. callbacks of Node.js APIs
+ * - `AsyncResult.RESOLVE`: called with the result. Used together with
+ *   `AsyncResult.REJECT` for APIs with separate callbacks.
+ * - `AsyncResult.REJECT`: called with an error
+ *
+ * @param {boolean} [multiple] the result consists of all arguments passed to
+ * the callback (except the error), as an array
  */
-function AsyncResult() {
+function AsyncResult(kind, multiple) {
 	//ASSERT_IS_CTOR(this, AsyncResult);
+	this.kind = kind || AsyncResult.RESULT;
+	this.multiple = multiple || false;
+}
+
+AsyncResult.RESULT = "result";
+AsyncResult.ERROR_FIRST = "error_first";
+AsyncResult.RESOLVE = "resolve";
+AsyncResult.REJECT = "reject";
+
+/**
+ * Marks a parameter that takes a function to report the progress of a
+ * long running task. Calling the function does not complete the task.
+ */
+function ProgressReporter() {
+	//ASSERT_IS_CTOR(this, ProgressReporter);
+}
+
+/**
+ * Marks a parameter that takes a function to emit partial results. The
+ * function may be called several times; the task completes as usual.
+ */
+function StreamResult() {
+	//ASSERT_IS_CTOR(this, StreamResult);
 }
 
 /**
@@ -95,5 +161,7 @@ LateStaticBinding.prototype._resolve = function _resolve() {
 	return global[this.varname];
 };
 
+(global.CONCURRENCY_JS_SOURCES = global.CONCURRENCY_JS_SOURCES || {})["defeeredresultvariable.js"] = "(" + defeeredresultvariable_module + ")(this);";
+
 
 })(typeof global !== "undefined" ? global : this);
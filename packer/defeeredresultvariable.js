@@ -1,11 +1,13 @@
 /*globals
 	DefeeredResult,
 	LateStaticBinding,
-	AsyncResult
+	AsyncResult,
+	ProgressReporter,
+	StreamResult
 */
-(function(ns, undefined) { "use strict";
+(function defeeredresultvariable_packer_module(ns, undefined) { "use strict";
 
-ns.WorkerPool.packer.DefeeredResult = function(defres, only_transferables) {
+ns.WorkerPool.add_packer(DefeeredResult, function(defres, only_transferables) {
 
 	if(only_transferables) {
 		return [];
@@ -15,13 +17,13 @@ ns.WorkerPool.packer.DefeeredResult = function(defres, only_transferables) {
 		val_a: defres.val_a,
 		val_b: defres.val_b
 	};
-};
+}, "DefeeredResult");
 
-ns.WorkerPool.unpacker.DefeeredResult = function(decomp) {
+ns.WorkerPool.add_unpacker("DefeeredResult", function(decomp) {
 	return new DefeeredResult(decomp.val_a, decomp.val_b);
-};
+});
 
-ns.WorkerPool.packer.LateStaticBinding = function(lsb, only_transferables) {
+ns.WorkerPool.add_packer(LateStaticBinding, function(lsb, only_transferables) {
 
 	if(only_transferables) {
 		return [];
@@ -30,23 +32,54 @@ ns.WorkerPool.packer.LateStaticBinding = function(lsb, only_transferables) {
 	return {
 		varname: lsb.varname
 	};
-};
+}, "LateStaticBinding");
 
-ns.WorkerPool.unpacker.LateStaticBinding = function(decomp) {
+ns.WorkerPool.add_unpacker("LateStaticBinding", function(decomp) {
 	return new LateStaticBinding(decomp.varname);
-};
+});
 
-ns.WorkerPool.packer.AsyncResult = function(async, only_transferables) {
+ns.WorkerPool.add_packer(AsyncResult, function(async, only_transferables) {
+
+	if(only_transferables) {
+		return [];
+	}
+		
+	return {
+		kind: async.kind,
+		multiple: async.multiple
+	};
+}, "AsyncResult");
+
+ns.WorkerPool.add_unpacker("AsyncResult", function(decomp) {
+	return new AsyncResult(decomp.kind, decomp.multiple);
+});
+
+ns.WorkerPool.add_packer(ProgressReporter, function(reporter, only_transferables) {
 
 	if(only_transferables) {
 		return [];
 	}
 		
 	return {};
-};
+}, "ProgressReporter");
+
+ns.WorkerPool.add_unpacker("ProgressReporter", function() {
+	return new ProgressReporter();
+});
+
+ns.WorkerPool.add_packer(StreamResult, function(stream, only_transferables) {
+
+	if(only_transferables) {
+		return [];
+	}
+		
+	return {};
+}, "StreamResult");
+
+ns.WorkerPool.add_unpacker("StreamResult", function() {
+	return new StreamResult();
+});
 
-ns.WorkerPool.unpacker.AsyncResult = function() {
-	return new AsyncResult();
-};
+(ns.CONCURRENCY_JS_SOURCES = ns.CONCURRENCY_JS_SOURCES || {})["packer/defeeredresultvariable.js"] = "(" + defeeredresultvariable_packer_module + ")(this);";
 
 })(this);
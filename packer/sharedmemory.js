@@ -0,0 +1,24 @@
+/*globals
+	SharedLatch
+*/
+(function sharedmemory_packer_module(ns, undefined) { "use strict";
+
+// shared memory is never transfered
+ns.WorkerPool.add_packer(SharedLatch, function(latch, only_transferables) {
+
+	if(only_transferables) {
+		return [];
+	}
+		
+	return {
+		buffer: latch._state.buffer
+	};
+}, "SharedLatch");
+
+ns.WorkerPool.add_unpacker("SharedLatch", function(decomp) {
+	return new SharedLatch(undefined, decomp.buffer);
+});
+
+(ns.CONCURRENCY_JS_SOURCES = ns.CONCURRENCY_JS_SOURCES || {})["packer/sharedmemory.js"] = "(" + sharedmemory_packer_module + ")(this);";
+
+})(this);
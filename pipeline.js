@@ -43,7 +43,10 @@
  * `#_no_multithread_list` are automatically excluded from multithreading.
  *
  * Multithreading is disabled by default. Use `#enable_multithreading()` to
- * enable it.
+ * enable it. Tasks with a `PRIORITY` flag are dispatched to the worker pool
+ * with the given priority (see `Task#set_priority()`). Tasks with a `RETRY`
+ * flag are run again by the worker pool if they fail, according to the retry
+ * policy it holds (see `Task#set_retry()`).
  *
  * __Events emitted:__
  * task_dispatch: a task starts execution
@@ -55,8 +58,31 @@
  * - [Task] task_obj,
  * - [Any] result,
  * - [int] worker_index,
+ * - [PipelineExecutionContext] context,
+ * - [int] attempts: number of times the task was run, including retries
+ *
+ * task_progress: a task reported progress using `PROGRESS()`. Arguments
+ * passed are
+ * - [string] task_name,
+ * - [Any] progress,
+ * - [PipelineExecutionContext] context
+ *
+ * task_chunk: a task emitted a partial result using `STREAM()` or a
+ * generator. Arguments passed are
+ * - [string] task_name,
+ * - [Any] chunk,
  * - [PipelineExecutionContext] context
  *
+ * task_failed: a task executed by a worker threw an exception or a task
+ * executed in this thread returned a rejected promise. The context of the task
+ * is terminated. Arguments passed are
+ * - [string] failed_task,
+ * - [Task] task_obj,
+ * - [Error] error,
+ * - [int] worker_index (null for tasks executed in this thread),
+ * - [PipelineExecutionContext] context,
+ * - [int] attempts
+ *
  * context_terminated: a context is terminated using
  * `PipelineExecutionContext#stop()` or `Pipeline#terminate()`. Same arguments
  * as task_done.
@@ -150,9 +176,7 @@ function Pipeline(pipeline_cfg, lookup_table) {
 	this.eventEmitter = new EventEmitter();
 
 	this._callback_executing_next_command = (function(pipeline) { return function(result, task_obj, worker_index) {
-		if(task_obj._data._is_pipeline_task === pipeline._id) {
 		pipeline._try_to_execute_next_task(task_obj._data.context_index, task_obj._data.task_name, task_obj, result, worker_index);
-		}
 	};})(this);
 }
 
@@ -356,7 +380,7 @@ Pipeline.prototype._try_to_execute_next_task = function(context, finished_task,
 	}
 
 	if(context._stop || this._stop_all) {
-		this.eventEmitter.emit("context_terminated", finished_task, task_obj, result, worker_index, context);
+		this.eventEmitter.emit("context_terminated", finished_task, task_obj, result, worker_index, context, task_obj ? task_obj.get_attempts() : 0);
 		this._active_contexts[context._index] = null;
 		return;
 	}
@@ -378,7 +402,7 @@ Pipeline.prototype._try_to_execute_next_task = function(context, finished_task,
 		print_debug_output(finished_task, result);
 
 		this._garbage_collect_results(context);
-		this.eventEmitter.emit("task_done", finished_task, task_obj, result, worker_index, context);
+		this.eventEmitter.emit("task_done", finished_task, task_obj, result, worker_index, context, task_obj.get_attempts());
 	}
 
 	if(finished_task === context._target) {
@@ -396,6 +420,22 @@ Pipeline.prototype._try_to_execute_next_task = function(context, finished_task,
 	this._dispatch(context, this._schedule_task(context));
 };
 
+/**
+ * INTERNAL USE ONLY; do not call!
+ * Terminates `context`, because its task `failed_task` threw an exception.
+ */
+Pipeline.prototype._on_task_failed = function(context, failed_task, task_obj, error, worker_index) {
+	ASSERT(context instanceof PipelineExecutionContext);
+
+	if(this._active_contexts[context._index] !== context) {
+		// context was already terminated
+		return;
+	}
+
+	this._active_contexts[context._index] = null;
+	this.eventEmitter.emit("task_failed", failed_task, task_obj, error, worker_index, context, task_obj.get_attempts());
+};
+
 Pipeline.prototype._garbage_collect_results = function() {
 };
 
@@ -447,8 +487,33 @@ Pipeline.prototype._dispatch = function _dispatch(context, task_name) {
 
 	var task = this._get_task_object(context, task_name);
 
+	var on_progress = (function(pipeline) { return function(progress) {
+		pipeline.eventEmitter.emit("task_progress", task_name, progress, context);
+	};})(this);
+
+	var on_chunk = (function(pipeline) { return function(chunk) {
+		pipeline.eventEmitter.emit("task_chunk", task_name, chunk, context);
+	};})(this);
+
 	if(!this._workerpool || !this._should_multithread_task(task_name)) {
-		task.run_fn(this._callback_executing_next_command);
+		var finished = false;
+		var on_finished = (function(pipeline) { return function(result, task_obj) {
+			finished = true;
+			pipeline._callback_executing_next_command(result, task_obj);
+		};})(this);
+
+		try {
+			task.run_fn(on_finished, on_progress, on_chunk, (function(pipeline) { return function(error) {
+				pipeline._on_task_failed(context, task_name, task, error, null);
+			};})(this));
+		} catch(err) {
+			// errors of the tasks dispatched by the callback are not failures of this task
+			if(finished) {
+				throw err;
+			}
+
+			this._on_task_failed(context, task_name, task, err, null);
+		}
 	} else {
 		// default lookup table in worker is already correct.
 		// optimization:
@@ -464,11 +529,35 @@ Pipeline.prototype._dispatch = function _dispatch(context, task_name) {
 			}
 		}
 		
-		this._workerpool.run_task(task);
+		var handle = this._workerpool.run_task(task).on_progress(on_progress).on_chunk(on_chunk);
+
+		handle.then((function(pipeline) { return function(result) {
+			outside_promise(function() {
+				pipeline._callback_executing_next_command(result, task, handle.worker_index);
+			});
+		};})(this), (function(pipeline) { return function(error) {
+			outside_promise(function() {
+				pipeline._on_task_failed(context, task_name, task, error, handle.worker_index);
+			});
+		};})(this));
+
 		return;
 	}
 };
 
+/**
+ * Calls `fn` from a promise callback. Exceptions, e.g. if the pipeline
+ * starves, are rethrown outside of the promise chain instead of becoming
+ * unhandled rejections.
+ */
+function outside_promise(fn) {
+	try {
+		fn();
+	} catch(err) {
+		setTimeout(function() { throw err; }, 0);
+	}
+}
+
 Pipeline.prototype._should_multithread_task = function(task_name) {
 
 	// disable multithreading for DOM tasks, GPU tasks or similar...
@@ -486,11 +575,15 @@ Pipeline.prototype._should_multithread_task = function(task_name) {
 	return !disable_multithreading;
 };
 
-Pipeline.prototype.enable_multithreading = function(include_list, num_threads) {
+/**
+ * @param {string[]} [include_list] scripts to load in each worker
+ * @param {int} [num_threads] number of workers
+ * @param {object} [pool_options] options passed to the `WorkerPool`
+ */
+Pipeline.prototype.enable_multithreading = function(include_list, num_threads, pool_options) {
 	ASSERT(!this._stop_all, "Pipeline terminated");
 
-	this._workerpool = new WorkerPool(include_list, num_threads, this._lookup);
-	this._workerpool.events.addListener("worker_done", this._callback_executing_next_command);
+	this._workerpool = new WorkerPool(include_list, num_threads, this._lookup, pool_options);
 };
 
 Pipeline.prototype.destroy_threads = function() {
@@ -532,10 +625,17 @@ Pipeline.prototype._get_task_object = function(context, task_name) {
 	var task = new Task(methodname, args, true);
 	task._data.task_name = task_name;
 	task._data.context_index = context._index;
-	task._data._is_pipeline_task = this._id;
 	task.set_this_argument(this_arg);
 	task.set_lookup_table(this._lookup);
 
+	if(typeof this.cfg[task_name].PRIORITY !== "undefined") {
+		task.set_priority(this.cfg[task_name].PRIORITY);
+	}
+
+	if(typeof this.cfg[task_name].RETRY !== "undefined") {
+		task.set_retry(this.cfg[task_name].RETRY);
+	}
+
 	return task;
 };
 
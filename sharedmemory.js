@@ -0,0 +1,128 @@
+/* # Shared Memory
+ *
+ * TypedArrays backed by a `SharedArrayBuffer` are passed to workers without
+ * transfer: all workers and the main thread access the same memory at once.
+ * Such arrays are never neutered, so tasks using them never wait for each
+ * other. Note that browsers only provide `SharedArrayBuffer` to cross-origin
+ * isolated pages.
+ *
+ * __Writing to disjoint regions:__
+ *
+ * ```js
+ * var img = shared_typed_array(Uint8ClampedArray, width * height);
+ * var latch = new SharedLatch(4);
+ *
+ * for(var i = 0; i < 4; ++i) {
+ *     // each task writes its rows and calls latch.count_down() when done
+ *     pool.run_task(new Task("binarize_rows", [img, i, 4, latch], true));
+ * }
+ *
+ * // inside another worker: latch.wait() blocks until all rows are written
+ * ```
+ */
+;(function sharedmemory_module(global) { "use strict";
+
+global.SharedLatch = SharedLatch;
+global.shared_typed_array = shared_typed_array;
+global.is_shared_memory = is_shared_memory;
+
+/**
+ * Create a TypedArray backed by a new `SharedArrayBuffer`.
+ *
+ * @param {function} type the TypedArray constructor, e.g. `Float32Array`
+ * @param {int|ArrayLike} length_or_values number of elements or values to
+ * copy into the array
+ */
+function shared_typed_array(type, length_or_values) {
+	var length = typeof length_or_values === "number" ? length_or_values : length_or_values.length;
+	var arr = new type(new SharedArrayBuffer(length * type.BYTES_PER_ELEMENT));
+
+	if(typeof length_or_values !== "number") {
+		arr.set(length_or_values);
+	}
+
+	return arr;
+}
+
+/**
+ * Tests whether `val` is a `SharedArrayBuffer` or a view on one.
+ */
+function is_shared_memory(val) {
+	if(typeof SharedArrayBuffer === "undefined" || val === null || val === undefined) {
+		return false;
+	}
+
+	return val instanceof SharedArrayBuffer || val.buffer instanceof SharedArrayBuffer;
+}
+
+/**
+ * A counter in shared memory, that allows threads to wait until it reaches
+ * zero. Typically initialized to the number of tasks writing to disjoint
+ * regions of a shared buffer; each task counts down once it is done.
+ *
+ * The latch can be passed to tasks like any other argument. All copies refer
+ * to the same counter.
+ *
+ * @param {int} count initial value of the counter
+ * @param {SharedArrayBuffer} [buffer] INTERNAL; memory of an existing latch
+ */
+function SharedLatch(count, buffer) {
+	ASSERT_IS_CTOR(this, SharedLatch);
+
+	if(buffer === undefined) {
+		ASSERT_IS_NON_NEGATIVE_INT(count);
+		buffer = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT);
+		this._state = new Int32Array(buffer);
+		Atomics.store(this._state, 0, count);
+	} else {
+		this._state = new Int32Array(buffer);
+	}
+}
+
+/**
+ * Decrements the counter and wakes all waiting threads if it reaches zero.
+ *
+ * @return {int} the remaining count
+ */
+SharedLatch.prototype.count_down = function count_down() {
+	var remaining = Atomics.sub(this._state, 0, 1) - 1;
+
+	if(remaining <= 0) {
+		Atomics.notify(this._state, 0);
+	}
+
+	return remaining;
+};
+
+/**
+ * @return {int} the current count
+ */
+SharedLatch.prototype.count = function count() {
+	return Atomics.load(this._state, 0);
+};
+
+/**
+ * Blocks until the counter reaches zero. Blocking is not allowed in the main
+ * thread of browsers; use `#count()` there.
+ *
+ * @param {number} [timeout] maximum time to wait in milliseconds
+ *
+ * @return {boolean} false, if the timeout expired
+ */
+SharedLatch.prototype.wait = function wait(timeout) {
+	var count = Atomics.load(this._state, 0);
+
+	while(count > 0) {
+		if(Atomics.wait(this._state, 0, count, timeout) === "timed-out") {
+			return false;
+		}
+
+		count = Atomics.load(this._state, 0);
+	}
+
+	return true;
+};
+
+(global.CONCURRENCY_JS_SOURCES = global.CONCURRENCY_JS_SOURCES || {})["sharedmemory.js"] = "(" + sharedmemory_module + ")(this);";
+
+})(typeof global !== "undefined" ? global : this);
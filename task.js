@@ -1,7 +1,12 @@
 /*globals
-	shorten_string
+	shorten_string,
+	format_string,
+	LateStaticBinding,
+	AsyncResult,
+	ProgressReporter,
+	StreamResult
 */
-(function(ns, global, undefined) { "use strict";
+(function task_module(ns, global, undefined) { "use strict";
 
 ns.Task = Task;
 
@@ -32,8 +37,37 @@ ns.Task = Task;
  * Serialization errors may not be detected correctly resulting in undefined
  * behaviour.
  *
+ * Variables of the enclosing scope are not serialized. Pass them explicitly
+ * using `Task#set_scope()`; they are packed like arguments and visible to the
+ * function as variables when it is rebuilt:
+ *
+ * ```js
+ * var factor = 3;
+ * var task = new Task(function(x) { return x * factor; }, [2]);
+ * task.set_scope({factor: factor});
+ * ```
+ *
+ * __Running functions exported by modules:__
+ *
+ * Pass the export name as method name and the module specifier to
+ * `Task#set_module()`. The module is imported by the thread running the task
+ * on first use and cached afterwards:
+ *
+ * ```js
+ * var task = new Task("blur", [image]);
+ * task.set_module("./filters.mjs");
+ * ```
+ *
  * __Executing functions with async results:__
  *
+ * Promises returned by the function, e.g. by async functions, are awaited;
+ * the callback receives the resolved value and rejections fail the task:
+ *
+ * ```js
+ * var task = new Task(async function(url) { return (await fetch(url)).status; }, [url]);
+ * task.run_fn(function(status) {}, null, null, function(err) {});
+ * ```
+ *
  * By default, the synchronous result will be returned. To retrieve the result
  * of a callback do the following:
  *
@@ -47,6 +81,61 @@ ns.Task = Task;
  * });
  * console.log("SYNC result is: " + sync_result);
  * ```
+ *
+ * Other callback conventions have their own markers:
+ *
+ * - `ASYNC_MULTI()`: all arguments of the callback form the result (an array)
+ * - `ASYNC_ERROR_FIRST(multiple)`: Node.js style `callback(err, value)`.
+ *   Errors fail the task.
+ * - `ASYNC_RESOLVE(multiple)` and `ASYNC_REJECT()`: separate callbacks for
+ *   success and failure. `ASYNC_REJECT()` requires `ASYNC_RESOLVE()`.
+ *
+ * ```js
+ * var task = new Task("readFile", ["a.txt", "utf8", ASYNC_ERROR_FIRST()]);
+ * var task = new Task("getCurrentPosition", [ASYNC_RESOLVE(), ASYNC_REJECT()]);
+ * ```
+ *
+ * Errors reported to callbacks are passed to the error callback of `run_fn`,
+ * or thrown by the callback if there is none. Only the first result or error
+ * is reported; later calls of the callbacks are ignored.
+ *
+ * __Reporting progress:__
+ *
+ * Set the parameter that expects a function to report progress to
+ * <PROGRESS()>. The values passed to it are delivered to the progress
+ * callback of `run_fn` or, inside a worker pool, to `TaskHandle#on_progress()`
+ * and the `task_progress` event:
+ *
+ * ```js
+ * var task = new Task(function(report, n) {
+ *      for(var i = 0; i < n; ++i) { report(i / n); }
+ *      return n;
+ * }, [PROGRESS(), 10]);
+ * task.run_fn(function(result) {}, function(progress) {
+ *      console.log("done to " + progress * 100 + "%");
+ * });
+ * ```
+ *
+ * __Streaming results:__
+ *
+ * Tasks can deliver a sequence of partial results (chunks) before they
+ * complete. Either use a generator function, whose yielded values are the
+ * chunks and whose return value is the result, or set the parameter that
+ * expects a function to emit chunks to <STREAM()>:
+ *
+ * ```js
+ * var task = new Task(function* (tiles) {
+ *      for(var i = 0; i < tiles.length; ++i) { yield render(tiles[i]); }
+ *      return tiles.length;
+ * }, [tiles]);
+ * task.run_fn(function(count) {}, null, function(chunk) {
+ *      show(chunk);
+ * });
+ * ```
+ *
+ * Inside a worker pool, chunks are delivered in order to
+ * `TaskHandle#on_chunk()` and the `task_chunk` event.
+ *
  * As a comparision a sync usage example:
  * ```js
  * var task = new Task(function(a) { return a + 1; }, [1])
@@ -73,7 +162,8 @@ ns.Task = Task;
  * @param {transferable} [transferables] an object that should be transfered to
  * the worker thread. (Passed by reference instead of copying. The buffer cannot
  * be accessed in the original thread until the function returned.) By passing
- * `true` all transferables are automatically detected and transfered.
+ * `true` all transferables are automatically detected and transfered,
+ * including those nested in plain objects, arrays, Maps and Sets.
  */
 function Task(task, args, transferables) {
 	args = args || [];
@@ -103,6 +193,25 @@ function Task(task, args, transferables) {
 	this._this_arg = null;
 	this._lookup_table = null;
 	this._force_copylist = [];
+	this._timeout = null;
+	this._timeout_id = null;
+	this._priority = 0;
+	this._worker_index = null;
+	this._affinity = null;
+
+	// timestamps set by the pool running the task. See `WorkerPool#metrics()`.
+	this._timing = null;
+
+	// variables made visible to a serialized function. See `set_scope`.
+	this._scope = null;
+	this._globals = [];
+
+	// specifier of the module exporting the function. See `set_module`.
+	this._module = null;
+
+	// See `set_retry` and `get_attempts`.
+	this._retry = null;
+	this._attempts = 0;
 }
 
 Task.prototype.set_this_argument = function (this_arg) {
@@ -113,6 +222,236 @@ Task.prototype.set_lookup_table = function (lookup) {
 	this._lookup_table = lookup;
 };
 
+/**
+ * Binds variables to a serialized function. Each property of `scope` is
+ * visible to the function as a variable of the same name when it is rebuilt
+ * in the worker. Values are packed like the arguments of the task; they are
+ * copied unless listed as transferables.
+ *
+ * Worker pools emit `task_warning` for identifiers the function uses, that
+ * are neither declared inside it, nor part of `scope`, nor well-known
+ * globals. Globals defined by worker scripts can be listed in `globals`. See
+ * `#get_free_identifiers()`.
+ *
+ * @param {object} scope maps variable names to values
+ * @param {string[]} [globals] names of globals available in the worker
+ */
+Task.prototype.set_scope = function (scope, globals) {
+	ASSERT_IS_OBJ(scope);
+	ASSERT(this.fn, "only tasks with a serialized function have a scope");
+
+	for(var name in scope) {
+		if(scope.hasOwnProperty(name)) {
+			ASSERT(IDENTIFIER.test(name) && JS_KEYWORDS.indexOf(name) === -1, "scope variable <" + name + "> is not a valid identifier");
+		}
+	}
+
+	ASSERT(globals === undefined || Array.isArray(globals), "globals must be an array of names");
+
+	this._scope = scope;
+	this._globals = globals || [];
+};
+
+/**
+ * Runs the function exported as the method name of the task by the module
+ * `specifier` instead of looking the method up in the lookup table.
+ * Relative specifiers are resolved against the script root inside of worker
+ * pools.
+ *
+ * The module has to be imported using `Task#import_module()` before the task
+ * is run; worker pools take care of this.
+ */
+Task.prototype.set_module = function (specifier) {
+	ASSERT_IS_STRING(specifier);
+	ASSERT(this.fn === undefined, "Only tasks with a method name can run a function exported by a module.");
+
+	this._module = specifier;
+};
+
+/**
+ * Imports the module of the task, unless it was imported before.
+ *
+ * @param {function} [resolve] maps the module specifier to the url
+ * that is imported
+ *
+ * @return {Promise|null} a promise resolved once the module is imported or
+ * `null`, if the task has no module or its module was already imported.
+ */
+Task.prototype.import_module = function (resolve) {
+	var specifier = this._module;
+
+	if(specifier === null || loaded_modules.hasOwnProperty(specifier)) {
+		return null;
+	}
+
+	var url = typeof resolve === "function" ? resolve(specifier) : specifier;
+
+	return WorkerPool.backend.import_module(url).then(function(module) {
+		loaded_modules[specifier] = module;
+	});
+};
+
+/**
+ * Lists the identifiers a serialized function uses without declaring them,
+ * except well-known globals, `globals` and the variables and globals passed
+ * to `Task#set_scope()`. The detection is a heuristic; it does not parse the
+ * function and may report identifiers of valid code.
+ *
+ * @param {string[]} [globals] additional names to ignore
+ *
+ * @return {string[]} the free identifiers, an empty list for tasks that call a
+ * function by name
+ */
+Task.prototype.get_free_identifiers = function (globals) {
+	if(!this.fn) {
+		return [];
+	}
+
+	var known = (globals || []).concat(this._globals, this._scope !== null ? Object.keys(this._scope) : []);
+
+	return find_free_identifiers(this.fn, known);
+};
+
+/**
+ * Limits the time the task may run inside a worker. The task is cancelled,
+ * if it does not finish within `milliseconds` after it was dispatched to a
+ * worker. Time spent in the wait queue does not count.
+ *
+ * @param {int|null} milliseconds the timeout or null to disable it
+ */
+Task.prototype.set_timeout = function (milliseconds) {
+	ASSERT(milliseconds === null || milliseconds > 0);
+	this._timeout = milliseconds;
+};
+
+/**
+ * Lets `WorkerPool` run the task again if it fails. The retry waits in the
+ * queue for `delay` milliseconds, multiplied by `backoff` for each further
+ * attempt, and prefers a worker other than the one that failed. Cancelled,
+ * timed out and stalled tasks are not retried. Neither are tasks whose
+ * transfered buffers were not returned, e.g. because the worker crashed;
+ * they fail with the original error.
+ *
+ * @param {object|null} policy the retry policy or null to disable retries:
+ * - `max_attempts`: number of times the task is run at most, including the
+ *   first attempt. Defaults to 3.
+ * - `delay`: milliseconds before the first retry. Defaults to 0.
+ * - `backoff`: factor the delay grows by with each retry. Defaults to 2.
+ * - `max_delay`: upper limit of the delay. Unlimited by default.
+ * - `retry_on`: list of error names to retry, or a function
+ *   `(error, attempts)` returning whether to retry. Retries all errors by
+ *   default.
+ * - `replace_worker`: replace the failed worker with a new worker before
+ *   retrying, e.g. to free its memory. Defaults to false.
+ */
+Task.prototype.set_retry = function (policy) {
+	if(policy === null) {
+		this._retry = null;
+		return;
+	}
+
+	ASSERT_IS_OBJ(policy);
+
+	var retry = {
+		max_attempts: policy.max_attempts === undefined ? 3 : policy.max_attempts,
+		delay: policy.delay || 0,
+		backoff: policy.backoff === undefined ? 2 : policy.backoff,
+		max_delay: policy.max_delay === undefined ? null : policy.max_delay,
+		retry_on: policy.retry_on || null,
+		replace_worker: policy.replace_worker || false
+	};
+
+	ASSERT(is_int(retry.max_attempts) && retry.max_attempts >= 1, "max_attempts must be a positive integer");
+	ASSERT(retry.delay >= 0, "retry delay must not be negative");
+	ASSERT(retry.backoff >= 1, "backoff must be at least 1");
+	ASSERT(retry.max_delay === null || retry.max_delay >= 0, "max_delay must not be negative");
+	ASSERT(retry.retry_on === null || is_array(retry.retry_on) || is_func(retry.retry_on),
+		"retry_on must be a list of error names or a function");
+
+	this._retry = retry;
+};
+
+/**
+ * @return {int} number of times the task was started, including retries
+ */
+Task.prototype.get_attempts = function () {
+	return this._attempts;
+};
+
+/**
+ * INTERNAL USE ONLY. Applies the retry policy of the task to `error`.
+ *
+ * @return {boolean} true, if the task should run again
+ */
+Task.prototype._should_retry = function (error) {
+	var retry = this._retry;
+
+	if(retry === null || this._attempts >= retry.max_attempts) {
+		return false;
+	}
+
+	if(is_array(retry.retry_on)) {
+		return retry.retry_on.indexOf(error && error.name) !== -1;
+	}
+
+	if(is_func(retry.retry_on)) {
+		return !!retry.retry_on(error, this._attempts);
+	}
+
+	return true;
+};
+
+/**
+ * INTERNAL USE ONLY.
+ *
+ * @return {number} milliseconds to wait before the next attempt
+ */
+Task.prototype._retry_delay = function () {
+	var retry = this._retry;
+	var delay = retry.delay * Math.pow(retry.backoff, this._attempts - 1);
+
+	return retry.max_delay === null ? delay : Math.min(delay, retry.max_delay);
+};
+
+/**
+ * Sets the priority used by `WorkerPool` to select the next waiting task.
+ * Tasks with a higher priority are dispatched first. Defaults to 0.
+ *
+ * @param {number} priority
+ */
+Task.prototype.set_priority = function (priority) {
+	ASSERT(typeof priority === "number" && !isNaN(priority), "priority must be a number");
+	this._priority = priority;
+};
+
+/**
+ * Pins the task to the worker with index `worker_index` of the pool. The task
+ * waits until this worker is idle, even if other workers are free. Takes
+ * precedence over `Task#set_affinity()`.
+ *
+ * @param {int|null} worker_index the worker index or null to run the task on
+ * any worker
+ */
+Task.prototype.set_worker = function (worker_index) {
+	if(worker_index !== null) {
+		ASSERT_IS_NON_NEGATIVE_INT(worker_index);
+	}
+
+	this._worker_index = worker_index;
+};
+
+/**
+ * Routes the task by `key`: all tasks with the same key run on the same
+ * worker of a pool, e.g. to reuse state the worker built for a document.
+ *
+ * @param {string|number|null} key the affinity key or null to run the task on
+ * any worker
+ */
+Task.prototype.set_affinity = function (key) {
+	ASSERT(key === null || typeof key === "string" || typeof key === "number", "affinity key must be a string or a number");
+	this._affinity = key;
+};
+
 /**
  * Excludes some transferables from the __next__ transfer.
  */
@@ -120,12 +459,32 @@ Task.prototype.remove_transferable = function (obj) {
 	this._force_copylist = this._force_copylist.concat(WorkerPool._pack(obj, true));
 };
 
-Task.prototype.run_fn = function(callback) {
+/**
+ * Runs the task in the current thread. If the function returns a promise
+ * (e.g. async functions) or any other thenable, it is awaited before
+ * `callback` is called.
+ *
+ * @param {function} [callback] called with the result and the task
+ * @param {function} [progress_callback] called with each progress value
+ * reported by the task and the task
+ * @param {function} [chunk_callback] called with each chunk emitted by the
+ * task and the task
+ * @param {function} [error_callback] called with the reason and the task, if
+ * the returned promise is rejected. Synchronous errors are thrown. Without
+ * error callback, a rejection becomes an unhandled rejection.
+ *
+ * @return the synchronous result of the task
+ */
+Task.prototype.run_fn = function(callback, progress_callback, chunk_callback, error_callback) {
 	var fn;
 	var this_arg = this._this_arg;
 
-	if(this.fn) {
+	if(this.fn && this._scope !== null) {
+		fn = bind_scope(this.fn, this._scope);
+	} else if(this.fn) {
 		eval("fn=" + this.fn);
+	} else if(this._module !== null) {
+		fn = module_export(this._module, this.fn_name);
 	} else {
 		var callinfo = lookup_fn(this.fn_name, this._lookup_table, this._this_arg);
 		this_arg = callinfo.this_arg;
@@ -134,21 +493,60 @@ Task.prototype.run_fn = function(callback) {
 
 	ASSERT_IS_FUNC(fn);
 
+	++this._attempts;
+
 	var args = this.args.slice();
-	var async_arg_pos = resolve_late_bindings(args);
+	var progress_fn = (function(self, progress_callback) { return function(progress) {
+		if(typeof progress_callback === "function") { progress_callback(progress, self); }
+	};})(this, progress_callback);
+	var chunk_fn = (function(self, chunk_callback) { return function(chunk) {
+		if(typeof chunk_callback === "function") { chunk_callback(chunk, self); }
+	};})(this, chunk_callback);
+	// functions with async results may call back more than once or fail
+	// after they called back. Only the first outcome is reported.
+	var done = false;
+	var error_fn = typeof error_callback !== "function" ? undefined : (function(self) { return function(err) {
+		if(!done) {
+			done = true;
+			error_callback(err, self);
+		}
+	};})(this);
+	var async_callback = (function(self, callback) { return function(result) {
+		if(!done) {
+			done = true;
+			if(typeof callback === "function") { callback(result, self); }
+		}
+	};})(this, callback);
+	// errors reported to callbacks are thrown without error callback
+	var fail_fn = error_fn || function(err) {
+		if(!done) {
+			done = true;
+			throw err;
+		}
+	};
+	var has_async_args = resolve_late_bindings(args, progress_fn, chunk_fn, async_callback, fail_fn);
 	var ret;
 
-	if(async_arg_pos === null) {
+	if(!has_async_args) {
 		ret = fn.apply(this_arg, args);
-		if(typeof callback === "function") { callback(ret, this); }
+		if(is_generator(ret)) { ret = drain_generator(ret, chunk_fn); }
+
+		if(is_thenable(ret)) {
+			ret.then(async_callback, error_fn);
+		} else {
+			async_callback(ret);
+		}
+
 		return ret;
 	} else {
-		var async_callback = (function(self, callback) { return function(result) {
-			if(typeof callback === "function") { callback(result, self); }
-		};})(this, callback);
-
-		args[async_arg_pos] = async_callback;
 		ret = fn.apply(this_arg, args);
+
+		// async functions may pass their result to the callback and still
+		// fail later
+		if(is_thenable(ret)) {
+			ret.then(null, error_fn);
+		}
+
 		return ret;
 	}
 };
@@ -179,6 +577,11 @@ Task.prototype.to_transferable = function() {
 		this_arg = WorkerPool._pack(this_arg);
 	}
 
+	// values may share buffers. Duplicates cause errors in v8 engine
+	transferables = transferables.filter(function(item, pos) {
+		return transferables.indexOf(item) === pos;
+	});
+
 	for(i = 0; i < this._force_copylist.length; ++i) {
 		var index = transferables.indexOf(this._force_copylist[i]);
 		if(index !== -1) {
@@ -195,7 +598,9 @@ Task.prototype.to_transferable = function() {
 		transferables: transferables,
 		_data: this._data,
 		_this_arg: this_arg,
-		_lookup_table: this._lookup_table
+		_lookup_table: this._lookup_table,
+		_scope: this._scope !== null ? WorkerPool._pack(this._scope) : null,
+		_module: this._module
 	};
 };
 
@@ -215,10 +620,40 @@ Task.from_transferable = function(t) {
 	task._data = t._data;
 	task._this_arg = this_arg;
 	task._lookup_table = t._lookup_table;
+	task._scope = t._scope ? WorkerPool._unpack(t._scope) : null;
+	task._module = t._module || null;
 
 	return task;
 };
 
+/**
+ * Replaces all occurences of `old_ref` in the arguments, the this argument,
+ * the scope and the list of transferables by `new_ref`.
+ */
+Task.prototype._replace_reference = function (old_ref, new_ref) {
+	for(var i = 0; i < this.args.length; ++i) {
+		if(this.args[i] === old_ref) {
+			this.args[i] = new_ref;
+		}
+	}
+
+	for(i = 0; i < this.transferables.length; ++i) {
+		if(this.transferables[i] === old_ref) {
+			this.transferables[i] = new_ref;
+		}
+	}
+
+	if(this._this_arg === old_ref) {
+		this._this_arg = new_ref;
+	}
+
+	for(var name in this._scope) {
+		if(this._scope.hasOwnProperty(name) && this._scope[name] === old_ref) {
+			this._scope[name] = new_ref;
+		}
+	}
+};
+
 /**
  * Tests whether the task can be transfered to another thread or not.
  *
@@ -227,34 +662,459 @@ Task.from_transferable = function(t) {
  * if all buffers are available for transfer
  */
 Task.prototype.has_neutered_buffer = function() {
+	return this.get_neutered_buffers().length !== 0;
+};
+
+/**
+ * @return {ArrayBuffer[]} the buffers of the task, that are currently passed
+ * to another thread.
+ */
+Task.prototype.get_neutered_buffers = function() {
 
 	var transferables = this.transferables.slice();
-	transferables.push(this._this_arg);
+	transferables.push(this._this_arg, this._scope);
+
+	var neutered = [];
 
 	for(var i = 0; i < transferables.length; ++i) {
 		var curr_transferables = WorkerPool._pack(transferables[i], true);
 		for(var j = 0; j < curr_transferables.length; ++j) {
-			if(curr_transferables[j].byteLength === 0) {
-				return true;
+			if(curr_transferables[j].byteLength === 0 && neutered.indexOf(curr_transferables[j]) === -1) {
+				neutered.push(curr_transferables[j]);
 			}
 		}
 	}
 
-	return false;
+	return neutered;
 };
 
-function resolve_late_bindings(args) {
-	var async_pos = null;
+/**
+ * Rebuilds a serialized function, so that the properties of `scope` are
+ * variables of its enclosing scope.
+ */
+function bind_scope(fn_source, scope) {
+	var names = Object.keys(scope);
+	var factory = Function.apply(null, names.concat("return (" + fn_source + ");"));
+
+	return factory.apply(null, names.map(function(name) {
+		return scope[name];
+	}));
+}
+
+var MSG_REJECT_WITHOUT_RESOLVE = "ASYNC_REJECT() has to be passed together with ASYNC_RESOLVE(); the task would never finish otherwise.";
+
+var IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+var JS_KEYWORDS = [
+	"break", "case", "catch", "class", "const", "continue", "debugger",
+	"default", "delete", "do", "else", "export", "extends", "finally", "for",
+	"function", "if", "import", "in", "instanceof", "new", "return", "super",
+	"switch", "this", "throw", "try", "typeof", "var", "void", "while", "with",
+	"yield", "let", "static", "async", "await", "of", "get", "set", "true",
+	"false", "null", "undefined", "arguments", "NaN", "Infinity"
+];
+
+// globals available in every worker. Everything else has to be passed.
+var JS_GLOBALS = [
+	"Object", "Function", "Array", "Number", "String", "Boolean", "Symbol",
+	"BigInt", "Math", "JSON", "Date", "RegExp", "Promise", "Proxy", "Reflect",
+	"Map", "Set", "WeakMap", "WeakSet", "Intl", "Atomics", "ArrayBuffer",
+	"SharedArrayBuffer", "DataView", "Int8Array", "Uint8Array",
+	"Uint8ClampedArray", "Int16Array", "Uint16Array", "Int32Array",
+	"Uint32Array", "Float32Array", "Float64Array", "BigInt64Array",
+	"BigUint64Array", "Error", "EvalError", "RangeError", "ReferenceError",
+	"SyntaxError", "TypeError", "URIError", "isNaN", "isFinite", "parseInt",
+	"parseFloat", "encodeURIComponent", "decodeURIComponent", "encodeURI",
+	"decodeURI", "eval", "globalThis", "self", "console", "setTimeout",
+	"clearTimeout", "setInterval", "clearInterval", "queueMicrotask",
+	"performance", "postMessage", "importScripts", "TextEncoder",
+	"TextDecoder", "URL", "Blob", "fetch", "crypto", "atob", "btoa",
+	"structuredClone"
+];
+
+// names that may precede the name of a method definition
+var METHOD_PREFIXES = ["get", "set", "static", "async"];
+
+// tokens after which a slash starts a regular expression instead of a division
+var REGEX_AFTER_KEYWORDS = ["return", "typeof", "instanceof", "in", "of", "new", "delete", "void", "throw", "case", "do", "else", "yield", "await"];
+
+/**
+ * Splits JavaScript source into tokens of the types "name", "punct" and
+ * "literal". Comments are dropped; strings, numbers, regular expressions and
+ * the text parts of template literals become literals.
+ */
+function tokenize(source) {
+	var tokens = [];
+	var depth = 0;
+	var templates = []; // depths of open template substitutions
+	var i = 0, start, c;
+
+	var push = function(type, value) {
+		tokens.push({type: type, value: value});
+	};
+
+	var regex_allowed = function() {
+		var prev = tokens[tokens.length - 1];
+
+		if(prev === undefined) {
+			return true;
+		} else if(prev.type === "name") {
+			return REGEX_AFTER_KEYWORDS.indexOf(prev.value) !== -1;
+		} else if(prev.type === "punct") {
+			return ")]}".indexOf(prev.value) === -1;
+		}
+
+		return false;
+	};
+
+	// scans the text of a template literal starting at `i` up to its end or
+	// the next substitution
+	var scan_template = function() {
+		while(i < source.length && source[i] !== "`" && !(source[i] === "$" && source[i + 1] === "{")) {
+			i += source[i] === "\\" ? 2 : 1;
+		}
+
+		push("literal", "`");
+
+		if(source[i] === "$") {
+			i += 2;
+			templates.push(++depth);
+		} else {
+			++i;
+		}
+	};
+
+	while(i < source.length) {
+		c = source[i];
+
+		if(/\s/.test(c)) {
+			++i;
+		} else if(c === "/" && source[i + 1] === "/") {
+			i = source.indexOf("\n", i);
+			i = i === -1 ? source.length : i;
+		} else if(c === "/" && source[i + 1] === "*") {
+			i = source.indexOf("*/", i + 2);
+			i = i === -1 ? source.length : i + 2;
+		} else if(c === "'" || c === '"') {
+			for(++i; i < source.length && source[i] !== c; ++i) {
+				if(source[i] === "\\") {
+					++i;
+				}
+			}
+			++i;
+			push("literal", c);
+		} else if(c === "`") {
+			++i;
+			scan_template();
+		} else if(c === "}" && templates.length !== 0 && templates[templates.length - 1] === depth) {
+			templates.pop();
+			--depth;
+			++i;
+			scan_template();
+		} else if(c === "/" && regex_allowed()) {
+			var in_class = false;
+
+			for(++i; i < source.length && (in_class || source[i] !== "/"); ++i) {
+				if(source[i] === "\\") {
+					++i;
+				} else if(source[i] === "[") {
+					in_class = true;
+				} else if(source[i] === "]") {
+					in_class = false;
+				}
+			}
+
+			for(++i; i < source.length && /[a-z]/.test(source[i]); ++i) {
+				// skip flags
+			}
+
+			push("literal", "/");
+		} else if(/[A-Za-z_$]/.test(c) || c > "\x7f") {
+			for(start = i; i < source.length && (/[\w$]/.test(source[i]) || source[i] > "\x7f"); ++i) {
+				// consume identifier
+			}
+
+			push("name", source.slice(start, i));
+		} else if(/[0-9]/.test(c) || (c === "." && /[0-9]/.test(source[i + 1]))) {
+			for(start = i; i < source.length && /[\w.]/.test(source[i]); ++i) {
+				// consume number
+			}
+
+			push("literal", source.slice(start, i));
+		} else if(source.substr(i, 3) === "...") {
+			push("punct", "...");
+			i += 3;
+		} else if(source.substr(i, 2) === "=>" || (source.substr(i, 2) === "?." && !/[0-9]/.test(source[i + 2]))) {
+			push("punct", source.substr(i, 2));
+			i += 2;
+		} else {
+			if(c === "{" || c === "(" || c === "[") {
+				++depth;
+			} else if(c === "}" || c === ")" || c === "]") {
+				--depth;
+			}
+
+			push("punct", c);
+			++i;
+		}
+	}
+
+	return tokens;
+}
+
+/**
+ * Tests whether `token` is one of the single character punctuators in `chars`.
+ */
+function is_punct(token, chars) {
+	return token !== undefined && token.type === "punct" && token.value.length === 1 &&
+		chars.indexOf(token.value) !== -1;
+}
+
+/**
+ * Tests whether the name at `index` is the name of a method definition in an
+ * object literal or class, including getters, setters, static, async and
+ * generator methods.
+ */
+function is_method_name(tokens, index) {
+	var prev = tokens[index - 1];
+
+	return is_punct(tokens[index + 1], "(") && is_punct(tokens[matching_bracket(tokens, index + 1, 1) + 1], "{") &&
+		(is_punct(prev, "{,};*") || (prev !== undefined && prev.type === "name" && METHOD_PREFIXES.indexOf(prev.value) !== -1));
+}
+
+/**
+ * Returns the index of the bracket matching the one at `index`, searching in
+ * direction `step` (1 or -1).
+ */
+function matching_bracket(tokens, index, step) {
+	var depth = 0;
+
+	for(var i = index; i >= 0 && i < tokens.length; i += step) {
+		if(is_punct(tokens[i], "([{")) {
+			depth += step;
+		} else if(is_punct(tokens[i], ")]}")) {
+			depth -= step;
+		}
+
+		if(depth === 0) {
+			return i;
+		}
+	}
+
+	return step > 0 ? tokens.length : -1;
+}
+
+/**
+ * Adds the names bound by a binding pattern, e.g. a parameter list or a
+ * variable declaration, in `tokens[start...end)` to `declared`. Default values
+ * and initializers are skipped. A declaration ends at a semicolon or when a
+ * name is not followed by `=`, `,`, `of` or `in`.
+ */
+function declare_pattern(tokens, start, end, declared) {
+	var depth = 0;
+	var skip_depth = null;
+
+	for(var i = start; i < end; ++i) {
+		var token = tokens[i];
+
+		if(is_punct(token, "([{")) {
+			++depth;
+		} else if(is_punct(token, ")]}")) {
+			if(--depth < 0) {
+				return;
+			}
+
+			if(skip_depth !== null && depth < skip_depth) {
+				skip_depth = null;
+			}
+		} else if(depth === 0 && is_punct(token, ";")) {
+			return;
+		} else if(is_punct(token, ",") && skip_depth === depth) {
+			skip_depth = null;
+		} else if(skip_depth === null && is_punct(token, "=")) {
+			skip_depth = depth;
+		} else if(skip_depth === null && token.type === "name") {
+			if(depth === 0 && (token.value === "of" || token.value === "in")) {
+				return;
+			}
+
+			// keys of destructured objects are not bound
+			if(!is_punct(tokens[i + 1], ":") && JS_KEYWORDS.indexOf(token.value) === -1) {
+				declared[token.value] = true;
+			}
+
+			if(depth === 0 && i + 1 < end && !is_punct(tokens[i + 1], "=,;") &&
+			   !(tokens[i + 1].type === "name" && (tokens[i + 1].value === "of" || tokens[i + 1].value === "in"))) {
+				return;
+			}
+		}
+	}
+}
+
+/**
+ * Lists identifiers `fn_source` uses, but does not declare. Names in `known`
+ * and well-known globals are ignored. This is a heuristic: all declarations
+ * are treated as if they were visible in the whole function.
+ */
+function find_free_identifiers(fn_source, known) {
+	var tokens = tokenize(fn_source);
+	var declared = {};
+	var i, token, open;
+
+	for(i = 0; i < tokens.length; ++i) {
+		token = tokens[i];
+
+		if(token.type === "name" && (token.value === "var" || token.value === "let" || token.value === "const")) {
+			declare_pattern(tokens, i + 1, tokens.length, declared);
+		} else if(token.type === "name" && (token.value === "function" || token.value === "class")) {
+			open = i + 1;
+
+			if(is_punct(tokens[open], "*")) {
+				++open;
+			}
+
+			if(tokens[open] !== undefined && tokens[open].type === "name" && tokens[open].value !== "extends") {
+				declared[tokens[open].value] = true;
+				++open;
+			}
+
+			if(token.value === "function" && is_punct(tokens[open], "(")) {
+				declare_pattern(tokens, open + 1, matching_bracket(tokens, open, 1), declared);
+			}
+		} else if(token.type === "name" && token.value === "catch" && is_punct(tokens[i + 1], "(")) {
+			declare_pattern(tokens, i + 2, matching_bracket(tokens, i + 1, 1), declared);
+		} else if(token.value === "=>" && i > 0) {
+			if(tokens[i - 1].type === "name") {
+				declared[tokens[i - 1].value] = true;
+			} else if(is_punct(tokens[i - 1], ")")) {
+				open = matching_bracket(tokens, i - 1, -1);
+				declare_pattern(tokens, open + 1, i - 1, declared);
+			}
+		} else if(token.type === "name" && JS_KEYWORDS.indexOf(token.value) === -1 && is_method_name(tokens, i)) {
+			// method definitions in object literals and classes
+			open = i + 1;
+			declare_pattern(tokens, open + 1, matching_bracket(tokens, open, 1), declared);
+		}
+	}
+
+	var free = [];
+
+	for(i = 0; i < tokens.length; ++i) {
+		token = tokens[i];
+
+		if(token.type !== "name" || declared[token.value] || free.indexOf(token.value) !== -1 ||
+		   JS_KEYWORDS.indexOf(token.value) !== -1 || JS_GLOBALS.indexOf(token.value) !== -1 ||
+		   known.indexOf(token.value) !== -1) {
+			continue;
+		}
+
+		// property access
+		if(is_punct(tokens[i - 1], ".") || (tokens[i - 1] !== undefined && tokens[i - 1].value === "?.")) {
+			continue;
+		}
+
+		// keys of object literals, labels and method names
+		if((is_punct(tokens[i - 1], "{,;}") || tokens[i - 1] === undefined) && is_punct(tokens[i + 1], ":") ||
+		   is_method_name(tokens, i)) {
+			continue;
+		}
+
+		// labels of break and continue
+		if(tokens[i - 1] !== undefined && (tokens[i - 1].value === "break" || tokens[i - 1].value === "continue")) {
+			continue;
+		}
+
+		free.push(token.value);
+	}
+
+	return free;
+}
+
+function is_thenable(val) {
+	return val !== null && (typeof val === "object" || typeof val === "function") &&
+		typeof val.then === "function";
+}
+
+function is_generator(val) {
+	return Object.prototype.toString.call(val) === "[object Generator]";
+}
+
+/**
+ * Passes all values yielded by `generator` to `chunk_fn`.
+ *
+ * @return the return value of the generator
+ */
+function drain_generator(generator, chunk_fn) {
+	var step = generator.next();
+
+	while(!step.done) {
+		chunk_fn(step.value);
+		step = generator.next();
+	}
+
+	return step.value;
+}
+
+/**
+ * Replaces the markers in `args` by their values and callbacks.
+ *
+ * @return {boolean} whether an `AsyncResult` marker was replaced
+ */
+function resolve_late_bindings(args, progress_fn, chunk_fn, result_fn, error_fn) {
+	var has_async_args = false;
+	var kinds = [];
 
 	for(var arg_i = 0, arg_l = args.length; arg_i < arg_l; ++arg_i) {
 		if(args[arg_i] instanceof LateStaticBinding) {
 			args[arg_i] = args[arg_i]._resolve();
+		} else if(args[arg_i] instanceof ProgressReporter) {
+			args[arg_i] = progress_fn;
+		} else if(args[arg_i] instanceof StreamResult) {
+			args[arg_i] = chunk_fn;
 		} else if(args[arg_i] instanceof AsyncResult) {
-			async_pos = arg_i;
+			kinds.push(args[arg_i].kind);
+			args[arg_i] = async_callback(args[arg_i], result_fn, error_fn);
+			has_async_args = true;
 		}
 	}
 
-	return async_pos;
+	ASSERT(kinds.indexOf(AsyncResult.REJECT) === -1 || kinds.indexOf(AsyncResult.RESOLVE) !== -1, MSG_REJECT_WITHOUT_RESOLVE);
+
+	return has_async_args;
+}
+
+/**
+ * Creates the callback passed in place of the marker `async`. See
+ * `AsyncResult`.
+ */
+function async_callback(async, result_fn, error_fn) {
+	var first_value = async.kind === AsyncResult.ERROR_FIRST ? 1 : 0;
+
+	var values = function(args) {
+		return async.multiple ? Array.prototype.slice.call(args, first_value) : args[first_value];
+	};
+
+	switch(async.kind) {
+		case AsyncResult.ERROR_FIRST:
+			return function(err) {
+				if(err !== null && err !== undefined) {
+					error_fn(err);
+				} else {
+					result_fn(values(arguments));
+				}
+			};
+		case AsyncResult.REJECT:
+			return function(err) {
+				error_fn(err);
+			};
+		case AsyncResult.RESULT:
+		case AsyncResult.RESOLVE:
+			return function() {
+				result_fn(values(arguments));
+			};
+		default:
+			throw new Error("Unknown kind of async result <" + shorten_string(String(async.kind)) + ">");
+	}
 }
 
 Task.IDENTIFIER_GLOBAL = "{GLOBAL}";
@@ -267,6 +1127,21 @@ Task.DEFAULT_LOOKUP_TABLE = [
 
 
 
+// modules imported by `Task#import_module()`, by specifier
+var loaded_modules = {};
+
+function module_export(specifier, fn_name) {
+	var module = loaded_modules[specifier];
+
+	ASSERT(module !== undefined, "Module <" + shorten_string(specifier) + "> was not imported. Call Task#import_module() first.");
+
+	if(!is_func(module[fn_name])) {
+		throw new Error("Module <" + shorten_string(specifier) + "> does not export a function <" + shorten_string(fn_name) + ">");
+	}
+
+	return module[fn_name];
+}
+
 function lookup_fn(fn_name, lookup, this_arg) {
 	lookup = lookup || Task.DEFAULT_LOOKUP_TABLE;
 
@@ -311,15 +1186,11 @@ function lookup_fn(fn_name, lookup, this_arg) {
 
 function get_all_transferables(args) {
 	var transferables = [];
-	// replaces custom types in the transferable list with
-	// the actual values.
-	for(var i = 0; i < args.length; ++i) {
-		if(args[i] !== undefined && args[i] !== null && typeof args[i].constructor !== "undefined") {
-			var typename = args[i].constructor.name;
 
-			if(WorkerPool.packer[typename] && WorkerPool.unpacker[typename]) {
-				transferables.push(args[i]);
-			}
+	// lists all arguments that hold transferables, including nested ones
+	for(var i = 0; i < args.length; ++i) {
+		if(WorkerPool._pack(args[i], true).length !== 0) {
+			transferables.push(args[i]);
 		}
 	}
 
@@ -341,4 +1212,6 @@ function try_seralize_func(fn) {
 	return str;
 }
 
+(ns.CONCURRENCY_JS_SOURCES = ns.CONCURRENCY_JS_SOURCES || {})["task.js"] = "(" + task_module + ")(this, this);";
+
 })(this, this);
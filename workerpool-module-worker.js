@@ -0,0 +1,51 @@
+/* # Module worker entry point
+ *
+ * Started by pools with the option `module_worker`. `importScripts` is not
+ * available in module workers and the library consists of classic scripts.
+ * They are fetched relative to this file and evaluated in the global scope
+ * instead, followed by `workerpool-worker.js`.
+ *
+ * Messages that arrive while the library loads are replayed afterwards.
+ */
+var LIBRARY_SCRIPTS = [
+	"defeeredresultvariable.js",
+	"task.js",
+	"workerpool.js",
+	"packer/defeeredresultvariable.js",
+	"sharedmemory.js",
+	"packer/sharedmemory.js",
+	"workerpool-worker.js"
+];
+
+var early_messages = [];
+
+function buffer_message(e) {
+	early_messages.push(e.data);
+}
+
+self.addEventListener("message", buffer_message);
+
+async function load_classic_script(script) {
+	var response = await fetch(new URL(script, import.meta.url));
+
+	if(!response.ok) {
+		throw new Error("Cannot load worker script <" + script + ">: " + response.status);
+	}
+
+	// indirect eval runs the script in the global scope
+	(0, eval)(await response.text());
+}
+
+if(typeof ASSERT === "undefined") {
+	await load_classic_script("node_modules/assert-js/assert.js");
+}
+
+for(var i = 0; i < LIBRARY_SCRIPTS.length; ++i) {
+	await load_classic_script(LIBRARY_SCRIPTS[i]);
+}
+
+self.removeEventListener("message", buffer_message);
+
+for(i = 0; i < early_messages.length; ++i) {
+	self.dispatchEvent(new MessageEvent("message", {data: early_messages[i]}));
+}
@@ -2,15 +2,32 @@
 	WorkerPool,
 	Task
 */
-importScripts("node_modules/assert-js/assert.js");
-importScripts("defeeredresultvariable.js");
-importScripts("task.js");
-importScripts("workerpool.js");
-importScripts("packer/defeeredresultvariable.js");
+// inline workers already contain the library. This file may also be loaded
+// outside of a worker, to allow building inline workers.
+if(typeof importScripts === "function" && typeof WorkerPool === "undefined") {
+	if(typeof ASSERT === "undefined") {
+		importScripts("node_modules/assert-js/assert.js");
+	}
+
+	importScripts("defeeredresultvariable.js");
+	importScripts("task.js");
+	importScripts("workerpool.js");
+	importScripts("packer/defeeredresultvariable.js");
+	importScripts("sharedmemory.js");
+	importScripts("packer/sharedmemory.js");
+}
 
 var SCRIPT_ROOT = null;
 
-(function(ns) { "use strict";
+(function workerpool_worker_module(ns) { "use strict";
+
+(ns.CONCURRENCY_JS_SOURCES = ns.CONCURRENCY_JS_SOURCES || {})["workerpool-worker.js"] =
+	"var SCRIPT_ROOT = null;\n(" + workerpool_worker_module + ")(this);";
+
+if(typeof importScripts !== "function") {
+	// not running inside a worker
+	return;
+}
 
 ASSERT(WorkerPool, "worker pool datatype cannot be found");
 ASSERT_IS_OBJ(WorkerPool.unpacker, "worker pool datatype must have a list of unpackers");
@@ -20,61 +37,289 @@ var LOADED_SCRIPTS = null;
 var MARK_UNPACKER = null;
 var INDEX = -1;
 
+// messages are handled in the order they arrive. While a module is imported,
+// later messages wait in this queue.
+var message_queue = [];
+var importing = false;
+
 self.addEventListener('message', function(e) {
+	message_queue.push(e.data);
+
+	if(!importing) {
+		handle_messages();
+	}
+}); 
+
+function handle_messages() {
+	while(message_queue.length > 0) {
+		var imported = handle_message(message_queue.shift());
+
+		if(imported) {
+			importing = true;
+			imported.then(null, function(err) {
+				// uncaught, like errors of messages handled synchronously
+				setTimeout(function() { throw err; }, 0);
+			}).then(function() {
+				importing = false;
+				handle_messages();
+			});
+			return;
+		}
+	}
+}
+
+/**
+ * Handles a message of the main thread. Returns a promise, if the message is
+ * handled asynchronously because modules have to be imported first.
+ */
+function handle_message(data) {
 
 	// the first message should carry special information including our
 	// identity within the workerpool and a list of additional scripts to
 	// load
 	if(LOADED_SCRIPTS === null) {
-		ASSERT_IS_OBJ(e.data);
-		ASSERT_IS_ARRAY(e.data.load_scripts);
-		ASSERT_IS_STRING(e.data.mark_unpacker);
-		ASSERT_IS_NON_NEGATIVE_INT(e.data.worker_index);
-
-		MARK_UNPACKER = e.data.mark_unpacker;
-		LOADED_SCRIPTS = e.data.load_scripts;
-		SCRIPT_ROOT = e.data.worker_script_root;
-		INDEX = e.data.worker_index;
-
-		if(e.data.lookup_table !== undefined && e.data.lookup_table !== null) {
-			Task.DEFAULT_LOOKUP_TABLE = e.data.lookup_table;
+		ASSERT_IS_OBJ(data);
+		ASSERT_IS_ARRAY(data.load_scripts);
+		ASSERT_IS_STRING(data.mark_unpacker);
+		ASSERT_IS_NON_NEGATIVE_INT(data.worker_index);
+
+		MARK_UNPACKER = data.mark_unpacker;
+		LOADED_SCRIPTS = data.load_scripts;
+		SCRIPT_ROOT = data.worker_script_root;
+		INDEX = data.worker_index;
+
+		if(data.lookup_table !== undefined && data.lookup_table !== null) {
+			Task.DEFAULT_LOOKUP_TABLE = data.lookup_table;
+		}
+
+		if(data.module_worker) {
+			return import_scripts(LOADED_SCRIPTS);
 		}
 
 		for(var i = 0; i < LOADED_SCRIPTS.length; ++i) {
-			importScripts(SCRIPT_ROOT + "/" + LOADED_SCRIPTS[i]);
+			WorkerPool.backend.load_script(SCRIPT_ROOT + "/" + LOADED_SCRIPTS[i]);
 		}
 
+		WorkerPool.validate_packers();
+
+	} else if(data.type === WorkerPool.MSG_TYPE_REGISTER_TYPE) {
+		register_type(data);
+
+	} else if(data.type === WorkerPool.MSG_TYPE_BROADCAST) {
+		return import_and_run(Task.from_transferable(data.task), function(task, result) {
+			postMessage({
+				type: WorkerPool.MSG_TYPE_BROADCAST_RESULT,
+				worker_index: INDEX,
+				broadcast_id: data.broadcast_id,
+				result: WorkerPool._pack(result)
+			}, WorkerPool._pack(result, true));
+		}, function(task, err) {
+			postMessage({
+				type: WorkerPool.MSG_TYPE_BROADCAST_RESULT,
+				worker_index: INDEX,
+				broadcast_id: data.broadcast_id,
+				error: WorkerPool._pack_error(err)
+			});
+		}, function() {}, function() {});
+
 	// All other calls should be tasks to run
 	} else {
 		ASSERT(LOADED_SCRIPTS !== null, "recieved message with task before initialization message");
 
-		var task = Task.from_transferable(e.data);
+		return import_and_run(Task.from_transferable(data), post_result, post_error, post_progress, post_chunk);
+	}
+
+	return null;
+}
+
+/**
+ * Imports the worker scripts of a module worker one after another and makes
+ * their exports available in the global scope.
+ */
+function import_scripts(scripts) {
+	return scripts.reduce(function(prev, script) {
+		return prev.then(function() {
+			return WorkerPool.backend.import_module(SCRIPT_ROOT + "/" + script);
+		}).then(function(module) {
+			// tasks look up exports by name, like globals of classic scripts
+			for(var name in module) {
+				self[name] = module[name];
+			}
+		});
+	}, Promise.resolve()).then(function() {
+		WorkerPool.validate_packers();
+	});
+}
+
+/**
+ * Runs `task` like `run_task` does, after importing its module if the task
+ * has one that was not imported yet. See `Task#set_module()`.
+ *
+ * @return {Promise|null} a promise, if the module has to be imported
+ */
+function import_and_run(task, on_result, on_error, on_progress, on_chunk) {
+	var imported = task.import_module(resolve_module);
 
-		task.run_fn((function(task) {
-			return function(result) {
-				post_result(task, result);
-			};
-		})(task));
+	if(imported === null) {
+		run_task(task, on_result, on_error, on_progress, on_chunk);
+		return null;
+	}
+
+	return imported.then(function() {
+		run_task(task, on_result, on_error, on_progress, on_chunk);
+	}, function(err) {
+		on_error(task, err);
+	});
+}
+
+// relative module specifiers are relative to the script root
+function resolve_module(specifier) {
+	if(specifier.indexOf("./") === 0 || specifier.indexOf("../") === 0) {
+		return SCRIPT_ROOT + "/" + specifier;
 	}
-}); 
+
+	return specifier;
+}
+
+/**
+ * Runs `task` and reports its outcome exactly once, either by calling
+ * `on_result(task, result)` or `on_error(task, err)`. Returned promises are
+ * awaited. If `on_result` throws, e.g. because the result cannot be cloned,
+ * the error is reported instead.
+ */
+function run_task(task, on_result, on_error, on_progress, on_chunk) {
+	var done = false;
+
+	try {
+		task.run_fn(function(result) {
+			// functions with async results may call back after
+			// they threw. Only the first outcome is reported.
+			if(!done) {
+				done = true;
+
+				try {
+					on_result(task, result);
+				} catch(err) {
+					on_error(task, err);
+				}
+			}
+		}, function(progress) {
+			if(!done) {
+				on_progress(progress);
+			}
+		}, function(chunk) {
+			if(!done) {
+				on_chunk(task, chunk);
+			}
+		}, function(err) {
+			// the returned promise was rejected
+			if(!done) {
+				done = true;
+				on_error(task, err);
+			}
+		});
+	} catch(err) {
+		if(!done) {
+			done = true;
+			on_error(task, err);
+		}
+	}
+}
+
+/**
+ * Registers a type posted by `WorkerPool#register_type` or
+ * `WorkerPool#register_class`.
+ */
+function register_type(registration) {
+	var packer, unpacker;
+
+	var type = registration.tag.split(".").reduce(function(obj, name) {
+		return obj === undefined || obj === null ? undefined : obj[name];
+	}, ns);
+
+	if(registration.is_class) {
+		ASSERT_IS_FUNC(type, "class <" + registration.tag + "> cannot be found in the worker");
+		WorkerPool.register_class(type, registration.tag);
+		return;
+	}
+
+	eval("packer=" + registration.packer);
+	eval("unpacker=" + registration.unpacker);
+
+	// without the constructor, values of the type can be unpacked, but not
+	// packed in this thread
+	if(typeof type === "function") {
+		WorkerPool.add_packer(type, packer, registration.tag);
+	}
+
+	WorkerPool.add_unpacker(registration.tag, unpacker);
+}
 
 function post_result(task, result) {
 	var result_packed = WorkerPool._pack(result);
 	var result_transfer = WorkerPool._pack(result, true);
+
+	post_message(WorkerPool.MSG_TYPE_RESULT, task, {
+		result: result_packed
+	}, result_transfer);
+}
+
+/**
+ * Posts an intermediate progress value. The task is still running, therefore
+ * its buffers are not transfered back.
+ */
+function post_progress(progress) {
+	postMessage({
+		type: WorkerPool.MSG_TYPE_PROGRESS,
+		worker_index: INDEX,
+		progress: WorkerPool._pack(progress)
+	}, WorkerPool._pack(progress, true));
+}
+
+/**
+ * Posts a partial result. Buffers that belong to the arguments of the task
+ * are copied instead of transfered, as the task may still use them.
+ */
+function post_chunk(task, chunk) {
+	var task_buffers = task.to_transferable().transferables;
+	var transferables = WorkerPool._pack(chunk, true).filter(function(buffer) {
+		return task_buffers.indexOf(buffer) === -1;
+	});
+
+	postMessage({
+		type: WorkerPool.MSG_TYPE_CHUNK,
+		worker_index: INDEX,
+		chunk: WorkerPool._pack(chunk),
+		transfer_bytes: WorkerPool._byte_length(transferables)
+	}, transferables);
+}
+
+function post_error(task, err) {
+	post_message(WorkerPool.MSG_TYPE_ERROR, task, {
+		error: WorkerPool._pack_error(err)
+	}, []);
+}
+
+/**
+ * Posts a message concerning `task` to the main thread. All buffers
+ * of the task are transfered back in addition to `transferables`.
+ */
+function post_message(type, task, msg, transferables) {
 	var task_transfer = task.to_transferable();
 
-	var _all_transferables = task_transfer.transferables.concat(result_transfer);
+	var _all_transferables = task_transfer.transferables.concat(transferables);
 
 	// remove duplicates, which cause errors in v8 engine
 	_all_transferables = _all_transferables.filter(function(item, pos) {
 	    return _all_transferables.indexOf(item) === pos;
 	});
 
-	postMessage({
-		result: result_packed,
-		worker_index: INDEX,
-		automatic_backtransfer: task_transfer
-	}, _all_transferables);
+	msg.type = type;
+	msg.worker_index = INDEX;
+	msg.automatic_backtransfer = task_transfer;
+	msg.transfer_bytes = WorkerPool._byte_length(_all_transferables);
+
+	postMessage(msg, _all_transferables);
 }
 
 })(this);
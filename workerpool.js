@@ -1,5 +1,10 @@
 /*globals
-	EventEmitter
+	EventEmitter,
+	Task,
+	shorten_string,
+	is_shared_memory,
+
+	format_string
 */
 /* #Multithreading using a Worker Pool
  *
@@ -7,323 +12,2951 @@
  *
  * ```js
  * var pool = new WorkerPool();
- * pool.events.on("worker_done", function(i) { console.log(i); });
- * pool.run_task(new Task(function increment(i) { return i+1; }, 1));
+ * pool.run_task(new Task(function increment(i) { return i+1; }, [1]))
+ *     .then(function(i) { console.log(i); });
+ * ```
+ *
+ * __Results of tasks:__
+ *
+ * `run_task` returns a `TaskHandle`, a thenable that resolves with the
+ * unpacked result of exactly that task. For backward compatibility, every
+ * result is additionally emitted using the pool-wide `worker_done` event:
+ *
+ * ```js
+ * pool.events.on("worker_done", function(result, task, worker_index, attempts) { ... });
+ * ```
+ *
+ * __Failing tasks:__
+ *
+ * Exceptions thrown by a task inside a worker, including rejections of
+ * promises returned by async functions, are posted back to the main
+ * thread. The handle of the task is rejected with an `Error` carrying the
+ * original name, message and stack, and the `worker_failed` event is emitted.
+ * The worker remains usable for the next task.
+ *
+ * ```js
+ * pool.events.on("worker_failed", function(error, task, worker_index, attempts) { ... });
+ * ```
+ *
+ * Errors that are not caught inside an idle worker, e.g. thrown by a timer of
+ * a finished task, are emitted using `worker_failed` with the task `null`.
+ *
+ * Tasks with a retry policy (see `Task#set_retry()`) are queued again
+ * instead, preferably for another worker, and `task_retry` is emitted. The
+ * handle settles with the outcome of the last attempt. Tasks whose
+ * transfered buffers did not come back, because their worker crashed, fail
+ * with the original error instead of being retried:
+ *
+ * ```js
+ * task.set_retry({max_attempts: 3, delay: 100, retry_on: ["RangeError"]});
+ * pool.events.on("task_retry", function(error, task, worker_index, attempts, timing) { ... });
+ * ```
+ *
+ * __Progress:__
+ *
+ * Values reported by tasks using a `PROGRESS()` argument are emitted with the
+ * `task_progress` event and passed to the callbacks registered with
+ * `TaskHandle#on_progress()`:
+ *
+ * ```js
+ * pool.run_task(new Task("binarize", [img, PROGRESS()]))
+ *     .on_progress(function(p) { bar.value = p; })
+ *     .then(function(result) { ... });
+ * ```
+ *
+ * __Streaming:__
+ *
+ * Chunks emitted by generator tasks or using a `STREAM()` argument (see
+ * `Task`) are transfered to the main thread as soon as they are produced.
+ * They are emitted in order with the `task_chunk` event and passed to the
+ * callbacks registered with `TaskHandle#on_chunk()`. The handle resolves
+ * with the final result after the last chunk:
+ *
+ * ```js
+ * pool.run_task(new Task("render_tiles", [page]))
+ *     .on_chunk(function(tile) { draw(tile); })
+ *     .then(function() { console.log("page done"); });
+ * ```
+ *
+ * __Cancellation and timeouts:__
+ *
+ * Tasks can be cancelled using `TaskHandle#cancel()` or `WorkerPool#cancel_task()`.
+ * A task with a timeout (see `Task#set_timeout()`) is cancelled as soon as
+ * it runs longer than allowed. Cancelling a running task terminates its
+ * worker; a replacement worker is spawned with the same scripts and lookup
+ * table. Handles of cancelled tasks are rejected with an error named
+ * `WorkerPool.ERROR_CANCELLED` or `WorkerPool.ERROR_TIMEOUT`.
+ *
+ * __Termination:__
+ *
+ * `WorkerPool#terminate()` ends all workers at once. Handles of running and
+ * waiting tasks are rejected with an error named `WorkerPool.ERROR_TERMINATED`.
+ * To end the pool gracefully, pass `{drain: true}`: the pool refuses new tasks,
+ * finishes all running and waiting tasks and terminates afterwards. In both
+ * cases, the `pool_terminated` event is emitted once all workers are gone.
+ *
+ * __Pool size:__
+ *
+ * By default, all workers are spawned upfront and live until the pool is
+ * terminated. With the `min_workers` option, only that many workers are
+ * spawned upfront; more workers up to the worker count are spawned when tasks
+ * would otherwise have to wait. Workers beyond `min_workers` are retired after
+ * being idle for `idle_timeout` milliseconds (`worker_retired` event):
+ *
+ * ```js
+ * var pool = new WorkerPool(scripts, 8, null, {min_workers: 0, idle_timeout: 30000});
+ * ```
+ *
+ * __Worker scripts:__
+ *
+ * Workers load `WorkerPool.WORKER_SCRIPT`, which imports the library relative
+ * to its own location. Scripts passed to the constructor are loaded relative
+ * to `WorkerPool.WORKER_SCRIPT_ROOT`. Both can be set per pool using the
+ * options `worker_script` and `worker_script_root`.
+ *
+ * If the layout of the deployed files is not known, the pool can build its
+ * workers from the library already loaded in the main thread using the
+ * option `inline_worker`. This requires `workerpool-worker.js` to be loaded in
+ * the main thread as well. Dependencies (assert-js) are not part of the
+ * library; their urls MUST be passed using the option `worker_dependencies`.
+ * Relative urls, including the script root, are resolved against the url of
+ * the page. Inline workers need the browser backend:
+ *
+ * ```js
+ * var pool = new WorkerPool(["js/filters.js"], 4, null, {
+ *     inline_worker: true,
+ *     worker_script_root: "/",
+ *     worker_dependencies: ["/vendor/assert.js"]
+ * });
+ * ```
+ *
+ * __Module workers:__
+ *
+ * With the option `module_worker`, workers are started as module workers
+ * (`type: "module"`) from `WorkerPool.MODULE_WORKER_SCRIPT`. The scripts
+ * passed to the constructor are imported as ES modules and their exports are
+ * made available in the global scope of the worker. Independent of the
+ * worker type, tasks can run functions exported by modules (see
+ * `Task#set_module()`). Each worker imports such a module when it first runs
+ * a task that needs it and caches it afterwards:
+ *
+ * ```js
+ * var pool = new WorkerPool([], 4, null, {module_worker: true});
+ * var task = new Task("blur", [image]);
+ * task.set_module("./js/filters.mjs");
+ * pool.run_task(task).then(show);
+ * ```
+ *
+ * Relative module specifiers are resolved against the script root. Tasks
+ * whose module cannot be imported fail with the error of the import.
+ *
+ * __Priorities:__
+ *
+ * Waiting tasks are dispatched by priority (see `Task#set_priority()`),
+ * tasks with equal priority in the order they were passed to `run_task`.
+ * Set the `aging_interval` option to raise the priority of tasks the longer
+ * they wait:
+ *
+ * ```js
+ * var pool = new WorkerPool(scripts, 4, null, {aging_interval: 500});
+ * ```
+ *
+ * __Worker affinity:__
+ *
+ * Workers may keep state between tasks, e.g. caches in global scope. Tasks
+ * can be pinned to a worker index using `Task#set_worker()`, or routed by a
+ * key using `Task#set_affinity()`; tasks with the same key always run on the
+ * same worker. Such tasks wait for their worker, even if others are idle.
+ * State is lost when a worker is replaced or retired.
+ *
+ * __Broadcasts:__
+ *
+ * `WorkerPool#broadcast()` runs a task once on every worker, e.g. to push a
+ * configuration or to warm a cache. Workers spawned later run it as well,
+ * before any other task:
+ *
+ * ```js
+ * pool.broadcast(new Task("load_model", [url])).then(function(results) {
+ *     // results[i] is the result of the worker with index i
+ * });
+ * ```
+ *
+ * __Map and reduce:__
+ *
+ * `WorkerPool#map()`, `WorkerPool#map_chunks()` and `WorkerPool#reduce()`
+ * split an array or TypedArray into chunks, run one task per chunk and
+ * resolve with the ordered results:
+ *
+ * ```js
+ * pool.map_chunks(function(chunk, offset) {
+ *     for(var i = 0; i < chunk.length; ++i) { chunk[i] *= 2; }
+ *     return chunk;
+ * }, new Float32Array(1e6), {chunk_size: 1e5}).then(function(chunks) {});
  * ```
  *
+ * __Metrics:__
+ *
+ * The pool measures queue depth, wait and run times of tasks, the busy time
+ * of each worker and the size of transfered buffers. `WorkerPool#metrics()`
+ * returns a snapshot. For a timeline, listen to `task_queued`, `task_started`
+ * and `task_finished`; each passes the task and its timing
+ * (`{submitted, started, finished}` timestamps in milliseconds).
+ * `task_finished` is emitted after the handle of the task was fulfilled.
+ * Failed and cancelled tasks are counted by their own counters instead.
+ *
+ * __Shared memory:__
+ *
+ * TypedArrays backed by a `SharedArrayBuffer` are passed to workers without
+ * transfer and can be used by many tasks at once. See `sharedmemory.js`.
+ *
+ * __Custom types:__
+ *
+ * Values are packed before they are posted to another thread and unpacked
+ * on arrival. Register a packer and unpacker for each custom type using
+ * `WorkerPool.add_packer()` and `WorkerPool.add_unpacker()` in every thread,
+ * or once using `WorkerPool#register_type()`:
+ *
+ * ```js
+ * pool.register_type(Img, function(img, only_transferables) {
+ *     if(only_transferables) { return [img.data.buffer]; }
+ *     return {data: img.data, width: img.width};
+ * }, function(packed) {
+ *     return new Img(packed.data, packed.width);
+ * }, "Img");
+ * ```
+ *
+ * Classes without a manual packer can be put into the class registry using
+ * `pool.register_class(Img, "Img")`. Their instances keep their prototype.
+ * Errors, ArrayBuffers, DataViews and all TypedArrays are packed by default.
+ *
+ * __Backends:__
+ *
+ * All interaction with the environment, e.g. creating threads, goes through
+ * `WorkerPool.backend`. By default, web workers are used
+ * (`WorkerPool.BROWSER_BACKEND`). Requiring `backend/node.js` loads the
+ * library in Node.js and switches to `worker_threads`:
+ *
+ * ```js
+ * require("concurrency-js/backend/node.js");
+ * var pool = new WorkerPool(["lib/filters.js"]);
+ * ```
+ *
+ * A backend is an object with the following methods:
+ *
+ * - `create_worker(script_url, options)`: returns an object with the interface
+ *   of a web worker (`postMessage`, `terminate`, `onmessage` and `onerror`).
+ *   Errors that end the thread are passed to `onerror` with `fatal` set.
+ *   `options.type` is `"module"` for module workers, `"classic"` otherwise.
+ * - `worker_script()`: default url of the worker script
+ * - `module_worker_script()`: default url of the worker script of module
+ *   workers
+ * - `worker_script_root()`: default path worker scripts are relative to
+ * - `resolve_url(url)`: converts a relative url into an absolute url
+ * - `load_script(url)`: loads a worker script (called inside the worker)
+ * - `import_module(url)`: imports an ES module, returns a promise of the
+ *   module namespace
+ * - `number_of_cpus()`
+ * - `globals()`: names of globals the environment defines in workers in
+ *   addition to the standard ones. Optional.
+ * - `code_string_to_url(code)`: converts source code to a url `create_worker`
+ *   accepts. Optional; inline workers cannot be used without it.
+ *
  * __Dealing with tasks that share arguments: Detection of stalling__
  *
  * As transfered buffers cannot be shared among multiple workers, some
  * tasks may wait even though workers are free. The workerpool will
  * detect this instance and push the tasks with neutered arguments back.
- * An exception is thrown as soon as there are (i) no tasks currently executing and
- * (ii) available tasks are blocked.
+ * The pool is stalled as soon as there are (i) no tasks currently executing and
+ * (ii) waiting tasks are blocked. Blocked tasks are then removed from the wait
+ * queue and their handles are rejected with an error named
+ * `WorkerPool.ERROR_STALLED`. The error and the `pool_stalled` event list the
+ * blocked tasks, the buffers each is missing and the tasks that transfered
+ * them away:
+ *
+ * ```js
+ * pool.events.on("pool_stalled", function(error, blocked) {
+ *     blocked.forEach(function(b) {
+ *         console.log(b.task, b.missing, b.transfered_by);
+ *     });
+ * });
+ * ```
+ *
+ * __Automatic back transfer:__
+ *
+ * After a task finished, all buffers transfered to the worker are
+ * transfered back. The pool tries to re-attach them to the objects that held
+ * them using the hook `WorkerPool.reference_repair[type_tag]`:
+ *
+ * ```js
+ * WorkerPool.reference_repair.Img = function(neutered, returned) {
+ *     neutered.data = returned.data;
+ *     return neutered;
+ * };
+ * ```
  *
- * Note that neutered buffers are not automatically repopulated when
- * the buffer returns from another thread. The workerpool __does not__
- * attempt to repair neutered buffers.
+ * A hook receives the neutered value and the value returned by the worker. It
+ * returns the repaired value, which is either `neutered` repaired in place or
+ * a replacement. Buffers and TypedArrays cannot be repaired in place; they are
+ * replaced by the returned value. Replacements are substituted in the
+ * arguments of the finished task (`handle.task.args`) and of all waiting
+ * tasks, so that waiting tasks using the same buffers no longer block.
  */
-(function(ns, undefined) { "use strict";
+(function workerpool_module(ns, undefined) { "use strict";
 
 ns.WorkerPool = WorkerPool;
+ns.TaskHandle = TaskHandle;
 
 ns.WorkerPool.WORKER_SCRIPT = "node_modules/concurrency-js/workerpool-worker.js";
+ns.WorkerPool.MODULE_WORKER_SCRIPT = "node_modules/concurrency-js/workerpool-module-worker.js";
 ns.WorkerPool.WORKER_SCRIPT_ROOT = "../../";
 ns.WorkerPool.MARK_UNPACKER = "_cast_to_original_datatype";
 
-var MSG_WORKERPOOL_STALLED = 'Workerpool stalled. Cannot dispatch waiting tasks because they have neutered arguments.';
+// scripts that make up a worker, in the order they are loaded
+ns.WorkerPool.INLINE_WORKER_SCRIPTS = [
+	"defeeredresultvariable.js",
+	"task.js",
+	"workerpool.js",
+	"packer/defeeredresultvariable.js",
+	"sharedmemory.js",
+	"packer/sharedmemory.js",
+	"workerpool-worker.js"
+];
+
+ns.WorkerPool.MSG_TYPE_RESULT = "result";
+ns.WorkerPool.MSG_TYPE_ERROR  = "error";
+ns.WorkerPool.MSG_TYPE_PROGRESS = "progress";
+ns.WorkerPool.MSG_TYPE_CHUNK = "chunk";
+ns.WorkerPool.MSG_TYPE_REGISTER_TYPE = "register_type";
+ns.WorkerPool.MSG_TYPE_BROADCAST = "broadcast";
+ns.WorkerPool.MSG_TYPE_BROADCAST_RESULT = "broadcast_result";
 
-// neutered objects are transfered back. However, the buffer is not
-// rereferenced in its original location
-//var NEUTER_ID_PROPERTY_NAME = '_WORKERPOOL_PRE_NEUTERING_BUFFER_ID';
-//var curr_neutering_id = 0;
+ns.WorkerPool.ERROR_CANCELLED = "TaskCancelledError";
+ns.WorkerPool.ERROR_TIMEOUT   = "TaskTimeoutError";
+ns.WorkerPool.ERROR_TERMINATED = "PoolTerminatedError";
+ns.WorkerPool.ERROR_STALLED    = "PoolStalledError";
+ns.WorkerPool.WARNING_FREE_IDENTIFIERS = "FreeIdentifiersWarning";
 
-//ns.WorkerPool.neutered_buffers = {};
+var MSG_WORKERPOOL_STALLED = 'Workerpool stalled. {0} waiting task(s) cannot be dispatched because they have neutered arguments: {1}.';
+var MSG_TASK_BLOCKED = "task <{0}> misses {1} buffer(s) transfered away by {2}";
+var MSG_TASK_CANCELLED = "Task was cancelled.";
+var MSG_TASK_TIMEOUT = "Task did not finish within {0} ms and was cancelled.";
+var MSG_POOL_TERMINATED = "Workerpool was terminated before the task finished.";
+var MSG_POOL_DRAINING = "Workerpool is draining and does not accept new tasks.";
+var MSG_REDUCE_EMPTY = "Reduce of empty items with no initial value.";
+var MSG_WORKER_INDEX_INVALID = "Cannot pin task to worker {0}; the pool has {1} workers.";
+var MSG_INLINE_SOURCE_MISSING = "Cannot build inline worker: the script <{0}> of concurrency-js was not loaded.";
+var MSG_FREE_IDENTIFIERS = "Task function uses variables that are not part of its scope: <{0}>. Pass them using Task#set_scope() or list them in the option worker_globals. Function: {1}";
+var MSG_INLINE_UNSUPPORTED = "Inline workers are not supported by the backend; they need the browser backend.";
+var MSG_INLINE_DEPENDENCIES_MISSING = "Inline workers need the urls of their dependencies (assert-js) in the option worker_dependencies.";
+var MSG_TYPE_TAG_MISSING = "Cannot register a type without a tag. Pass a tag for anonymous constructors.";
+var MSG_TYPE_TAG_TAKEN = "The type tag <{0}> is already used by another type.";
+var MSG_TYPE_REGISTERED_TWICE = "Cannot register the type as <{0}>; it is already registered as <{1}>.";
+var MSG_PACKER_MISMATCH = "Each packer requires a matching unpacker and vice versa. Incomplete types: <{0}>.";
+var MSG_UNPACKER_MISSING = "Cannot unpack value of unknown type <{0}>.";
 
+// DEPRECATED: packers and unpackers keyed by constructor name. Use
+// `WorkerPool.add_packer` and `WorkerPool.add_unpacker` instead.
 ns.WorkerPool.unpacker = {};
 ns.WorkerPool.packer   = {};
-//ns.WorkerPool.reference_repair = {};
-
-WorkerPool._pack = function(val, only_transferables) {
+ns.WorkerPool.reference_repair = {};
 
-	if(val && typeof val.constructor !== "undefined") {
+// registered types. Each entry has the fields type, tag, packer, unpacker
+// and is_class.
+var type_registry = [];
 
-		var typename = val.constructor.name;
-
-		if(WorkerPool.packer[typename]) {
-			var valp = WorkerPool.packer[typename](val, only_transferables);
+function find_type_by_tag(tag) {
+	for(var i = 0; i < type_registry.length; ++i) {
+		if(type_registry[i].tag === tag) {
+			return type_registry[i];
+		}
+	}
 
-			if(!only_transferables) {
-				valp[WorkerPool.MARK_UNPACKER] = typename;
-			}
+	return null;
+}
 
-			return valp;
+function find_type_by_constructor(type) {
+	for(var i = 0; i < type_registry.length; ++i) {
+		if(type_registry[i].type === type) {
+			return type_registry[i];
 		}
 	}
 
-	if(only_transferables) {
-		return [];
-	} else {
-		return val;
+	return null;
+}
+
+function type_entry(tag) {
+	var entry = find_type_by_tag(tag);
+
+	if(entry === null) {
+		entry = {type: null, tag: tag, packer: null, unpacker: null, is_class: false};
+		type_registry.push(entry);
 	}
-};
 
-WorkerPool._unpack = function(val) {
-		if(val && typeof val[WorkerPool.MARK_UNPACKER] !== "undefined") {
-			var typename = val[WorkerPool.MARK_UNPACKER];
-			delete val[WorkerPool.MARK_UNPACKER];
-			return WorkerPool.unpacker[typename](val);
-		} else {
-			return val;
-		}
-};
+	return entry;
+}
 
-ns.WorkerPool.packer.ArrayBuffer = function(arrbuff, only_transferables) {
-	if(only_transferables) {
-		return [arrbuff];
+/**
+ * Registers a function that converts instances of `type` into a structured
+ * cloneable object.
+ *
+ * A packer is called as `packer(value, only_transferables)`. If
+ * `only_transferables` is true, it returns the list of buffers to transfer.
+ * Otherwise it returns the packed object. The unpacker registered for the
+ * same tag is called with the packed object in the receiving thread.
+ *
+ * Types are identified by their constructor, not by the name of the
+ * constructor. The tag identifies the type between threads and MUST be the
+ * same in all threads. It defaults to the name of the constructor, which is
+ * not stable under minification; pass a tag for your own types.
+ *
+ * To use a type inside workers, register it in the workers as well, e.g. in a
+ * worker script or using `WorkerPool#register_type()`.
+ *
+ * @param {function} type the constructor
+ * @param {function} packer
+ * @param {string} [tag] the type tag
+ */
+WorkerPool.add_packer = function add_packer(type, packer, tag) {
+	ASSERT_IS_FUNC(type);
+	ASSERT_IS_FUNC(packer);
+
+	tag = tag || type.name;
+
+	ASSERT(typeof tag === "string" && tag.length > 0, MSG_TYPE_TAG_MISSING);
+
+	var registered = find_type_by_constructor(type);
+
+	if(registered !== null && (registered.tag !== tag || registered.is_class)) {
+		throw new Error(format_string(MSG_TYPE_REGISTERED_TWICE, tag, registered.tag));
 	}
-		
-	return {
-		buffer: arrbuff,
-		buffertype: "ArrayBuffer"
-	};
-};
 
-ns.WorkerPool.unpacker.ArrayBuffer = function(decomp) {
-	return [decomp.buffer];
-};
+	var entry = type_entry(tag);
 
-ns.WorkerPool.packer.Int8Array =
-ns.WorkerPool.packer.Uint8Array =
-ns.WorkerPool.packer.Int8Array =
-ns.WorkerPool.packer.Uint8Array =
-ns.WorkerPool.packer.Uint8ClampedArray =
-ns.WorkerPool.packer.Int16Array =
-ns.WorkerPool.packer.Uint16Array =
-ns.WorkerPool.packer.Int32Array =
-ns.WorkerPool.packer.Uint32Array =
-ns.WorkerPool.packer.Float32Array =
-ns.WorkerPool.packer.Float64Array = function(typedarray, only_transferables) {
-	if(only_transferables) {
-		return [typedarray.buffer];
+	if(entry.type !== null && entry.type !== type) {
+		throw new Error(format_string(MSG_TYPE_TAG_TAKEN, tag));
 	}
-		
-	return {
-		buffer: typedarray.buffer,
-		buffertype: typedarray.constructor.name
-	};
-};
 
-ns.WorkerPool.unpacker.Int8Array =
-ns.WorkerPool.unpacker.Uint8Array =
-ns.WorkerPool.unpacker.Int8Array =
-ns.WorkerPool.unpacker.Uint8Array =
-ns.WorkerPool.unpacker.Uint8ClampedArray =
-ns.WorkerPool.unpacker.Int16Array =
-ns.WorkerPool.unpacker.Uint16Array =
-ns.WorkerPool.unpacker.Int32Array =
-ns.WorkerPool.unpacker.Uint32Array =
-ns.WorkerPool.unpacker.Float32Array =
-ns.WorkerPool.unpacker.Float64Array = function(decomp) {
-	return new ns[decomp.buffertype](decomp.buffer);
-};
-
-//ns.WorkerPool.reference_repair.Int8Array =
-//ns.WorkerPool.reference_repair.Uint8Array =
-//ns.WorkerPool.reference_repair.Int8Array =
-//ns.WorkerPool.reference_repair.Uint8Array =
-//ns.WorkerPool.reference_repair.Uint8ClampedArray =
-//ns.WorkerPool.reference_repair.Int16Array =
-//ns.WorkerPool.reference_repair.Uint16Array =
-//ns.WorkerPool.reference_repair.Int32Array =
-//ns.WorkerPool.reference_repair.Uint32Array =
-//ns.WorkerPool.reference_repair.Float32Array =
-//ns.WorkerPool.reference_repair.Float64Array = function(neutered_data, buffer_data, transfer_id) {
-//};
+	entry.type = type;
+	entry.packer = packer;
+};
 
 /**
- * Create a new worker pool.
- * 
- * @param {int} worker_count number of worker threads to use. Defaults to the
- * number of cpus available.
+ * Registers `type` in the class registry. Instances of registered classes are
+ * posted without a packer: their own enumerable properties are packed like a
+ * plain object and the receiving thread creates an object with the prototype
+ * of `type` from them. The constructor is not called.
  *
- * @param {array of strings} [worker_scripts] an optional list of files that
- * should be loaded inside each worker.
+ * Register the class with the same tag in all threads, e.g. in a worker script
+ * or using `WorkerPool#register_class()`.
  *
+ * @param {function} type the constructor
+ * @param {string} [tag] the type tag. Defaults to the name of the constructor.
  */
-function WorkerPool(worker_scripts, worker_count, lookup_table) {
-	ASSERT_IS_CTOR(this, WorkerPool);
-
-	worker_count = worker_count || this.number_of_cpus();
+WorkerPool.register_class = function register_class(type, tag) {
+	ASSERT_IS_FUNC(type);
 
-	worker_scripts = worker_scripts || [];
+	tag = tag || type.name;
 
-	ASSERT_IS_ARRAY(worker_scripts);
-	ASSERT_IS_INT(worker_count);
-	ASSERT(worker_count > 0);
+	ASSERT(typeof tag === "string" && tag.length > 0, MSG_TYPE_TAG_MISSING);
 
-	this.workers = [];
-	this.worker_busy = [];
-	this.wait_queue = [];
-	this.events = new EventEmitter();
+	var registered = find_type_by_constructor(type);
 
-	for(var i = 0; i < worker_count; ++i) {
-		this.workers[i] = new Worker(WorkerPool.WORKER_SCRIPT);
-		this.workers[i].onerror = this._worker_on_error();
-		this.workers[i].onmessage = this._worker_on_message();
-		this.worker_busy[i] = false;
-		this.workers[i].postMessage({
-			worker_index: i,
-			mark_unpacker: WorkerPool.MARK_UNPACKER,
-			worker_script_root: WorkerPool.WORKER_SCRIPT_ROOT,
-			load_scripts: worker_scripts,
-			lookup_table: lookup_table
-		});
+	if(registered !== null && (registered.tag !== tag || !registered.is_class)) {
+		throw new Error(format_string(MSG_TYPE_REGISTERED_TWICE, tag, registered.tag));
 	}
-}
 
-WorkerPool.prototype.run_task = function run_task(task) {
-	var i = this.worker_busy.indexOf(false);
-
-	//this._try_repair_neutered_references(task);
+	var entry = type_entry(tag);
 
-	if(i === -1 || task.has_neutered_buffer()) {
-		//console.info("pushing", task.fn_name);
-		this.wait_queue.push(task);
-		return;
-	} else {
-		var packed = task.to_transferable();
-		this.worker_busy[i] = task;
-		//console.info("running", task.fn_name);
-		this.workers[i].postMessage(packed, packed.transferables);
+	if((entry.type !== null && entry.type !== type) || entry.packer || entry.unpacker) {
+		throw new Error(format_string(MSG_TYPE_TAG_TAKEN, tag));
 	}
-};
 
-WorkerPool.prototype._worker_on_error = function() {
-	//return (function(self) {
-		return function worker_on_error(e) {
-			//self.events.emit("error", e);
-			// convert ErrorEvent to Error
-			var msg = e.message + " [" + e.filename + "@" + e.lineno + ":" + e.colno + "]";
-			throw new Error(msg);
-		};
-	//})(this);
+	entry.type = type;
+	entry.is_class = true;
 };
 
-WorkerPool.prototype._worker_on_message = function() {
-	return (function(self) {
-		return function worker_on_message(e) {
-			var unpacked_result = WorkerPool._unpack(e.data.result);
-			// emit the result and original task object
-			self.events.emit("worker_done", unpacked_result, self.worker_busy[e.data.worker_index], e.data.worker_index);
-			//console.info("done with", self.worker_busy[e.data.worker_index].fn_name);
-			// TODO: implement automatic back transfer
-			self.worker_busy[e.data.worker_index] = false;
-
-			if(self.wait_queue.length !== 0) {
-				var i = self.worker_busy.indexOf(false);
-
-				var task = null;
-
-				for(var n = 0; n < self.wait_queue.length; ++n) {
-					if(!self.wait_queue[n].has_neutered_buffer()) {
-						task = self.wait_queue[n];
-						break;
-					}
-				}
-				
-				if(task === null) {
+/**
+ * Registers the function that restores values packed by the packer with the
+ * same tag. See `WorkerPool.add_packer`.
+ *
+ * @param {string|function} tag the type tag or the constructor of a type
+ * registered using `add_packer`
+ * @param {function} unpacker
+ */
+WorkerPool.add_unpacker = function add_unpacker(tag, unpacker) {
+	ASSERT_IS_FUNC(unpacker);
 
-					if(!self._has_running_tasks()) {
-						throw new Error(MSG_WORKERPOOL_STALLED);
-					}
+	if(typeof tag === "function") {
+		var registered = find_type_by_constructor(tag);
+		tag = registered !== null ? registered.tag : tag.name;
+	}
 
-					return;
-				}
+	ASSERT(typeof tag === "string" && tag.length > 0, MSG_TYPE_TAG_MISSING);
 
-				self.worker_busy[i] = task;
-				//console.info("running", task.fn_name);
-				self.workers[i].postMessage(task.to_transferable(), task.transferables);
-			}
-		};
-	})(this);
+	type_entry(tag).unpacker = unpacker;
 };
 
-WorkerPool.prototype._has_running_tasks = function() {
+/**
+ * Throws, if a packer has no matching unpacker or the other way round.
+ */
+WorkerPool.validate_packers = function validate_packers() {
+	var incomplete = [];
+	var tag;
 
-	for(var n = 0; n < this.worker_busy.length; ++n) {
-		if(this.worker_busy[n] !== false) {
-			return true;
+	for(var i = 0; i < type_registry.length; ++i) {
+		if(!type_registry[i].is_class && (!type_registry[i].packer || !type_registry[i].unpacker)) {
+			incomplete.push(type_registry[i].tag);
 		}
 	}
 
-	return false;
+	for(tag in WorkerPool.packer) {
+		if(WorkerPool.packer.hasOwnProperty(tag) && !WorkerPool.unpacker[tag]) {
+			incomplete.push(tag);
+		}
+	}
+
+	for(tag in WorkerPool.unpacker) {
+		if(WorkerPool.unpacker.hasOwnProperty(tag) && !WorkerPool.packer[tag]) {
+			incomplete.push(tag);
+		}
+	}
+
+	if(incomplete.length !== 0) {
+		throw new Error(format_string(MSG_PACKER_MISMATCH, incomplete.join(", ")));
+	}
 };
 
-WorkerPool.prototype.number_of_cpus = function() {
+/**
+ * Looks up the packer of a value.
+ *
+ * @return {object|null} an object with the fields `tag`, `packer` and
+ * `unpacker` or null, if the type of `val` has no packer.
+ */
+WorkerPool._type_of = function(val) {
+	if(val === null || val === undefined || typeof val.constructor === "undefined") {
+		return null;
+	}
 
-	if(navigator.hardwareConcurrency) {
-		return navigator.hardwareConcurrency;
-	} // todo estimate cores with polyfill
+	var entry = find_type_by_constructor(val.constructor);
 
-	return 1;
-};
+	if(entry !== null && entry.packer) {
+		return entry;
+	}
 
-WorkerPool.prototype.code_string_to_url = function code_string_to_url(code) {
-	return window.URL.createObjectURL(new Blob(code, {type: "text/javascript"}));
+	var typename = val.constructor.name;
+
+	if(WorkerPool.packer[typename]) {
+		return {
+			type: val.constructor,
+			tag: typename,
+			packer: WorkerPool.packer[typename],
+			unpacker: WorkerPool.unpacker[typename] || null
+		};
+	}
+
+	// subclasses of Error are packed as errors, unless they are registered
+	if(val instanceof Error && entry === null) {
+		return find_type_by_tag("Error");
+	}
+
+	return null;
 };
 
 /**
- * Terminate all workers and free up memory associated with this thread pool.
- * Triggers the `pool_terminated` event.
+ * Returns the class registry entry of the constructor of `val` or null.
  */
-WorkerPool.prototype.terminate = function terminate() {
-	for(var i = 0, worker_count = this.workers.length; i < worker_count; ++i) {
-		this.workers[i].terminate();
-		this.workers[i] = null;
+function class_of(val) {
+	var entry = find_type_by_constructor(val.constructor);
+
+	return entry !== null && entry.is_class ? entry : null;
+}
+
+/**
+ * Returns the kind of container walked by `WorkerPool._pack` or null, if `val`
+ * is passed as is. Only plain objects and instances of registered classes are
+ * walked; instances of other classes need a packer.
+ */
+function container_kind(val) {
+	if(val === null || typeof val !== "object") {
+		return null;
 	}
 
-	this.events.emit("pool_terminated");
-};
+	if(Array.isArray(val)) {
+		return "array";
+	} else if(val instanceof Map) {
+		return "map";
+	} else if(val instanceof Set) {
+		return "set";
+	} else if(class_of(val) !== null) {
+		return "instance";
+	}
 
-WorkerPool.prototype.is_terminated = function terminate() {
-	return this.workers[0] === null;
-};
-
-//Task.prototype._write_neutering_repair_info = function(task) {
-	//var vals = task.transferables.slice();
-	//vals.push(task._this_arg);
-
-	//for(var i = 0; i < vals.length; ++i) {
-		//var transferables = WorkerPool._pack(vals[i], true);
-		//for(var j = 0; j < transferables.length; ++j) {
-			//// TODO: detect ID overflow
-			//if(typeof transferables[j][NEUTER_ID_PROPERTY_NAME] !== "undefined") {
-				//transferables[j][NEUTER_ID_PROPERTY_NAME] = curr_neutering_id;
-				//neutering_ids[curr_neutering_id] = transferables[j];
-				//++curr_neutering_id;
-			//}
-		//}
-	//}
-//};
-
-//WorkerPool.prototype._try_repair_neutered_references = function(task) {
-	//var vals = task.transferables.slice();
-	//vals.push(task._this_arg);
-	//vals.push(task.args);
-
-	//for(var i = 0; i < vals.length; ++i) {
-		//var transferables = WorkerPool._pack(vals[i], true);
-		//var val_classname = typeof vals[i].constructor !== undefined ? vals[i].constructor.name : null;
-		//for(var j = 0; j < transferables.length; ++j) {
-			//if(transferables[j].byteLength === 0 &&
-					//typeof transferables[j][NEUTER_ID_PROPERTY_NAME] !== "undefined" &&
-					//val_classname !== null && WorkerPool._reference_repair[val_classname]) {
-				   //WorkerPool._reference_repair[val_classname](i,
-						   //neutering_ids[transferables[j][NEUTER_ID_PROPERTY_NAME]]);
-			//}
-		//}
-	//}
-//};
+	var proto = Object.getPrototypeOf(val);
+
+	return proto === Object.prototype || proto === null ? "object" : null;
+}
+
+function pack_value(val, packed) {
+	if(val === null || typeof val !== "object") {
+		return val;
+	}
+
+	// preserves shared references and cycles
+	if(packed.has(val)) {
+		return packed.get(val);
+	}
+
+	var type = WorkerPool._type_of(val);
+	var result;
+
+	if(type !== null) {
+		result = type.packer(val, false);
+		result[WorkerPool.MARK_UNPACKER] = type.tag;
+		packed.set(val, result);
+
+		return result;
+	}
+
+	switch(container_kind(val)) {
+		case "array":
+			result = new Array(val.length);
+			packed.set(val, result);
+
+			for(var i = 0; i < val.length; ++i) {
+				result[i] = pack_value(val[i], packed);
+			}
+
+			return result;
+
+		case "object":
+		case "instance":
+			// message and stack of errors are not enumerable
+			result = val instanceof Error ? WorkerPool._pack_error(val) : {};
+			delete result.builtin;
+			packed.set(val, result);
+
+			if(container_kind(val) === "instance") {
+				result[WorkerPool.MARK_UNPACKER] = class_of(val).tag;
+			}
+
+			for(var key in val) {
+				if(Object.prototype.hasOwnProperty.call(val, key)) {
+					result[key] = pack_value(val[key], packed);
+				}
+			}
+
+			return result;
+
+		case "map":
+			result = new Map();
+			packed.set(val, result);
+
+			val.forEach(function(value, key) {
+				result.set(pack_value(key, packed), pack_value(value, packed));
+			});
+
+			return result;
+
+		case "set":
+			result = new Set();
+			packed.set(val, result);
+
+			val.forEach(function(value) {
+				result.add(pack_value(value, packed));
+			});
+
+			return result;
+	}
+
+	return val;
+}
+
+function collect_transferables(val, transferables, seen) {
+	if(val === null || typeof val !== "object" || seen.has(val)) {
+		return;
+	}
+
+	seen.add(val);
+
+	var type = WorkerPool._type_of(val);
+
+	if(type !== null) {
+		var own = type.packer(val, true);
+
+		for(var i = 0; i < own.length; ++i) {
+			if(transferables.indexOf(own[i]) === -1) {
+				transferables.push(own[i]);
+			}
+		}
+
+		return;
+	}
+
+	var collect = function(value) {
+		collect_transferables(value, transferables, seen);
+	};
+
+	switch(container_kind(val)) {
+		case "array":
+			val.forEach(collect);
+			break;
+
+		case "object":
+		case "instance":
+			for(var key in val) {
+				if(Object.prototype.hasOwnProperty.call(val, key)) {
+					collect(val[key]);
+				}
+			}
+			break;
+
+		case "map":
+			val.forEach(function(value, key) {
+				collect(key);
+				collect(value);
+			});
+			break;
+
+		case "set":
+			val.forEach(collect);
+			break;
+	}
+}
+
+/**
+ * Unpacks `val` in place. `val` MUST be a structured clone, as received from
+ * another thread.
+ */
+function unpack_value(val, unpacked) {
+	if(val === null || typeof val !== "object") {
+		return val;
+	}
+
+	if(unpacked.has(val)) {
+		return unpacked.get(val);
+	}
+
+	var result;
+
+	if(typeof val[WorkerPool.MARK_UNPACKER] !== "undefined") {
+		var tag = val[WorkerPool.MARK_UNPACKER];
+		var entry = find_type_by_tag(tag);
+
+		if(entry !== null && entry.is_class) {
+			return unpack_instance(val, entry, unpacked);
+		}
+
+		var unpacker = entry !== null && entry.unpacker ? entry.unpacker : WorkerPool.unpacker[tag];
+
+		if(!unpacker) {
+			throw new Error(format_string(MSG_UNPACKER_MISSING, tag));
+		}
+
+		delete val[WorkerPool.MARK_UNPACKER];
+		result = unpacker(val);
+		unpacked.set(val, result);
+
+		return result;
+	}
+
+	var kind = container_kind(val);
+	var entries = [];
+
+	if(kind !== null) {
+		unpacked.set(val, val);
+	}
+
+	switch(kind) {
+		case "array":
+			for(var i = 0; i < val.length; ++i) {
+				val[i] = unpack_value(val[i], unpacked);
+			}
+			break;
+
+		case "object":
+			for(var key in val) {
+				if(Object.prototype.hasOwnProperty.call(val, key)) {
+					val[key] = unpack_value(val[key], unpacked);
+				}
+			}
+			break;
+
+		case "map":
+			val.forEach(function(value, key) {
+				entries.push([key, value]);
+			});
+
+			val.clear();
+
+			entries.forEach(function(entry) {
+				val.set(unpack_value(entry[0], unpacked), unpack_value(entry[1], unpacked));
+			});
+			break;
+
+		case "set":
+			val.forEach(function(value) {
+				entries.push(value);
+			});
+
+			val.clear();
+
+			entries.forEach(function(value) {
+				val.add(unpack_value(value, unpacked));
+			});
+			break;
+	}
+
+	return val;
+}
+
+function unpack_instance(val, entry, unpacked) {
+	var instance = Object.create(entry.type.prototype);
+	unpacked.set(val, instance);
+
+	delete val[WorkerPool.MARK_UNPACKER];
+
+	for(var key in val) {
+		if(!Object.prototype.hasOwnProperty.call(val, key)) {
+			continue;
+		}
+
+		if(instance instanceof Error && ERROR_FIELDS.indexOf(key) !== -1) {
+			// restored like the error constructor sets them
+			if(key !== "name" || instance.name !== val[key]) {
+				Object.defineProperty(instance, key, {value: val[key], writable: true, configurable: true});
+			}
+		} else {
+			instance[key] = unpack_value(val[key], unpacked);
+		}
+	}
+
+	return instance;
+}
+
+/**
+ * Packs `val` to post it to another thread. Values of registered types are
+ * packed using their packer. Plain objects, arrays, Maps and Sets are copied
+ * and their content is packed recursively; shared references and cycles are
+ * preserved.
+ *
+ * @param {boolean} [only_transferables] if true, returns the transferables
+ * found anywhere in `val` instead, without duplicates
+ */
+WorkerPool._pack = function(val, only_transferables) {
+	if(only_transferables) {
+		var transferables = [];
+		collect_transferables(val, transferables, new Set());
+
+		return transferables;
+	}
+
+	return pack_value(val, new Map());
+};
+
+/**
+ * Inverse of `WorkerPool._pack`. Containers are unpacked in place.
+ */
+WorkerPool._unpack = function(val) {
+	return unpack_value(val, new Map());
+};
+
+/**
+ * Converts an exception into a structured cloneable object.
+ */
+WorkerPool._pack_error = function(err) {
+	if(err instanceof Error) {
+		return {
+			name: err.name,
+			message: err.message,
+			stack: err.stack,
+			builtin: builtin_error_type(err)
+		};
+	}
+
+	// something that is not an error was thrown
+	return {
+		name: "Error",
+		message: String(err),
+		stack: undefined,
+		builtin: "Error"
+	};
+};
+
+/**
+ * Inverse of `WorkerPool._pack_error`.
+ */
+WorkerPool._unpack_error = function(packed) {
+	var type = ERROR_TYPES.indexOf(packed.builtin) !== -1 ? ns[packed.builtin] : Error;
+	var err = new type(packed.message);
+
+	if(err.name !== packed.name) {
+		err.name = packed.name;
+	}
+
+	if(packed.stack !== undefined) {
+		err.stack = packed.stack;
+	}
+
+	return err;
+};
+
+// errors are reconstructed using the most specific built-in constructor they
+// derive from
+var ERROR_TYPES = [
+	"Error",
+	"EvalError",
+	"RangeError",
+	"ReferenceError",
+	"SyntaxError",
+	"TypeError",
+	"URIError"
+];
+
+// fields of `WorkerPool._pack_error` kept by instances of registered classes
+var ERROR_FIELDS = ["name", "message", "stack"];
+
+/**
+ * Returns the name of the most specific built-in error type `err` is an
+ * instance of. Unregistered subclasses are unpacked as this type.
+ */
+function builtin_error_type(err) {
+	// all types but the first derive directly from Error
+	for(var i = ERROR_TYPES.length - 1; i > 0; --i) {
+		if(err instanceof ns[ERROR_TYPES[i]]) {
+			return ERROR_TYPES[i];
+		}
+	}
+
+	return "Error";
+}
+
+function pack_error(err, only_transferables) {
+	return only_transferables ? [] : WorkerPool._pack_error(err);
+}
+
+for(var error_i = 0; error_i < ERROR_TYPES.length; ++error_i) {
+	WorkerPool.add_packer(ns[ERROR_TYPES[error_i]], pack_error, ERROR_TYPES[error_i]);
+	WorkerPool.add_unpacker(ERROR_TYPES[error_i], WorkerPool._unpack_error);
+}
+
+WorkerPool.add_packer(ArrayBuffer, function(arrbuff, only_transferables) {
+	if(only_transferables) {
+		return [arrbuff];
+	}
+		
+	return {
+		buffer: arrbuff,
+		buffertype: "ArrayBuffer"
+	};
+}, "ArrayBuffer");
+
+WorkerPool.add_unpacker("ArrayBuffer", function(decomp) {
+	return decomp.buffer;
+});
+
+var TYPED_ARRAYS = [
+	"Int8Array",
+	"Uint8Array",
+	"Uint8ClampedArray",
+	"Int16Array",
+	"Uint16Array",
+	"Int32Array",
+	"Uint32Array",
+	"Float32Array",
+	"Float64Array",
+	"BigInt64Array",
+	"BigUint64Array"
+].filter(function(name) {
+	// BigInt arrays are missing in older engines
+	return typeof ns[name] === "function";
+});
+
+WorkerPool.add_packer(DataView, function(view, only_transferables) {
+	if(only_transferables) {
+		return typeof is_shared_memory === "function" && is_shared_memory(view) ?
+			[] : [view.buffer];
+	}
+
+	return {
+		buffer: view.buffer,
+		byte_offset: view.byteOffset,
+		byte_length: view.byteLength
+	};
+}, "DataView");
+
+WorkerPool.add_unpacker("DataView", function(decomp) {
+	return new DataView(decomp.buffer, decomp.byte_offset, decomp.byte_length);
+});
+
+function pack_typed_array(typedarray, only_transferables) {
+	if(only_transferables) {
+		// shared memory is passed without transfer and never neutered
+		return typeof is_shared_memory === "function" && is_shared_memory(typedarray) ?
+			[] : [typedarray.buffer];
+	}
+		
+	return {
+		buffer: typedarray.buffer,
+		buffertype: typedarray.constructor.name,
+		byte_offset: typedarray.byteOffset,
+		length: typedarray.length
+	};
+}
+
+function unpack_typed_array(decomp) {
+	return new ns[decomp.buffertype](decomp.buffer, decomp.byte_offset || 0, decomp.length);
+}
+
+for(var typed_array_i = 0; typed_array_i < TYPED_ARRAYS.length; ++typed_array_i) {
+	WorkerPool.add_packer(ns[TYPED_ARRAYS[typed_array_i]], pack_typed_array, TYPED_ARRAYS[typed_array_i]);
+	WorkerPool.add_unpacker(TYPED_ARRAYS[typed_array_i], unpack_typed_array);
+}
+
+// a neutered buffer cannot be revived. Use the returned value instead.
+ns.WorkerPool.reference_repair.ArrayBuffer =
+ns.WorkerPool.reference_repair.Int8Array =
+ns.WorkerPool.reference_repair.Uint8Array =
+ns.WorkerPool.reference_repair.Uint8ClampedArray =
+ns.WorkerPool.reference_repair.Int16Array =
+ns.WorkerPool.reference_repair.Uint16Array =
+ns.WorkerPool.reference_repair.Int32Array =
+ns.WorkerPool.reference_repair.Uint32Array =
+ns.WorkerPool.reference_repair.Float32Array =
+ns.WorkerPool.reference_repair.Float64Array =
+ns.WorkerPool.reference_repair.BigInt64Array =
+ns.WorkerPool.reference_repair.BigUint64Array =
+ns.WorkerPool.reference_repair.DataView = function(neutered, returned) {
+	return returned;
+};
+
+/**
+ * Tests whether any buffer of `val` is neutered.
+ */
+WorkerPool._is_neutered = function(val) {
+	var transferables = WorkerPool._pack(val, true);
+
+	for(var i = 0; i < transferables.length; ++i) {
+		if(transferables[i].byteLength === 0) {
+			return true;
+		}
+	}
+
+	return false;
+};
+
+/**
+ * Repairs a neutered value using the value returned by a worker.
+ *
+ * @return the repaired value or `neutered`, if there is no repair hook
+ */
+WorkerPool._repair_reference = function(neutered, returned) {
+	return repair_value(neutered, returned, new Map());
+};
+
+/**
+ * Repairs `neutered` and, if it is a container, all values nested in it. The
+ * content of containers is repaired in place by walking `returned` along.
+ */
+function repair_value(neutered, returned, repaired) {
+	if(neutered === null || typeof neutered !== "object" || returned === null || returned === undefined) {
+		return neutered;
+	}
+
+	if(repaired.has(neutered)) {
+		return repaired.get(neutered);
+	}
+
+	var type = WorkerPool._type_of(neutered);
+	var result = neutered;
+
+	if(type !== null) {
+		if(WorkerPool.reference_repair[type.tag] && WorkerPool._is_neutered(neutered)) {
+			result = WorkerPool.reference_repair[type.tag](neutered, returned);
+		}
+
+		repaired.set(neutered, result);
+		return result;
+	}
+
+	var kind = container_kind(neutered);
+
+	if(kind === null || container_kind(returned) !== kind) {
+		return neutered;
+	}
+
+	repaired.set(neutered, neutered);
+
+	var repair = function(value, returned_value) {
+		return repair_value(value, returned_value, repaired);
+	};
+
+	var values = [], returned_values = [];
+	var collect = function(list) {
+		return function(value) { list.push(value); };
+	};
+
+	switch(kind) {
+		case "array":
+			for(var i = 0; i < neutered.length && i < returned.length; ++i) {
+				result = repair(neutered[i], returned[i]);
+
+				if(result !== neutered[i]) {
+					neutered[i] = result;
+				}
+			}
+			break;
+
+		case "object":
+		case "instance":
+			for(var key in neutered) {
+				if(Object.prototype.hasOwnProperty.call(neutered, key) &&
+				   Object.prototype.hasOwnProperty.call(returned, key)) {
+					result = repair(neutered[key], returned[key]);
+
+					if(result !== neutered[key]) {
+						neutered[key] = result;
+					}
+				}
+			}
+			break;
+
+		// structured cloning preserves the order of entries
+		case "map":
+			returned.forEach(collect(returned_values));
+
+			i = 0;
+			neutered.forEach(function(value, key) {
+				var repaired_value = repair(value, returned_values[i++]);
+
+				if(repaired_value !== value) {
+					neutered.set(key, repaired_value);
+				}
+			});
+			break;
+
+		case "set":
+			neutered.forEach(collect(values));
+			returned.forEach(collect(returned_values));
+
+			var repaired_values = values.map(function(value, i) {
+				return repair(value, returned_values[i]);
+			});
+
+			neutered.clear();
+			repaired_values.forEach(function(value) {
+				neutered.add(value);
+			});
+			break;
+	}
+
+	return neutered;
+}
+
+var dynamic_import = null;
+
+ns.WorkerPool.BROWSER_BACKEND = {
+	create_worker: function(script_url, options) {
+		return new Worker(script_url, options);
+	},
+
+	worker_script: function() {
+		return WorkerPool.WORKER_SCRIPT;
+	},
+
+	module_worker_script: function() {
+		return WorkerPool.MODULE_WORKER_SCRIPT;
+	},
+
+	worker_script_root: function() {
+		return WorkerPool.WORKER_SCRIPT_ROOT;
+	},
+
+	load_script: function(url) {
+		importScripts(url);
+	},
+
+	// import() is a syntax error in engines without modules. It is compiled
+	// on first use, so this classic script still loads in those engines.
+	import_module: function(url) {
+		if(dynamic_import === null) {
+			dynamic_import = new Function("url", "return import(url);");
+		}
+
+		return dynamic_import(url);
+	},
+
+	resolve_url: function(url) {
+		return new URL(url, location.href).href;
+	},
+
+	number_of_cpus: function() {
+
+		if(navigator.hardwareConcurrency) {
+			return navigator.hardwareConcurrency;
+		} // todo estimate cores with polyfill
+
+		return 1;
+	},
+
+	globals: function() {
+		return [
+			"location", "navigator", "indexedDB", "caches", "XMLHttpRequest",
+			"WebSocket", "FileReader", "Request", "Response", "Headers",
+			"AbortController", "MessageChannel", "ImageData", "OffscreenCanvas",
+			"createImageBitmap"
+		];
+	},
+
+	code_string_to_url: function(code) {
+		return URL.createObjectURL(new Blob([code], {type: "text/javascript"}));
+	}
+};
+
+ns.WorkerPool.backend = ns.WorkerPool.BROWSER_BACKEND;
+
+/**
+ * Builds the source code of a self-contained worker from the library loaded
+ * in the current thread.
+ *
+ * Each module of the library registers its own source in
+ * `CONCURRENCY_JS_SOURCES` when it is loaded. Modules are wrapped in named
+ * functions, so that `Function.prototype.toString` returns their source.
+ *
+ * @param {string[]} [dependencies] absolute urls of scripts to import before
+ * the library
+ *
+ * @return {string} the source code
+ */
+WorkerPool.inline_worker_source = function(dependencies) {
+	var sources = ns.CONCURRENCY_JS_SOURCES || {};
+	var code = [];
+
+	dependencies = dependencies || [];
+
+	ASSERT_IS_ARRAY(dependencies);
+
+	if(dependencies.length > 0) {
+		code.push("importScripts(" + dependencies.map(function(url) {
+			return JSON.stringify(url);
+		}).join(", ") + ");");
+	}
+
+	for(var i = 0; i < WorkerPool.INLINE_WORKER_SCRIPTS.length; ++i) {
+		var script = WorkerPool.INLINE_WORKER_SCRIPTS[i];
+
+		if(typeof sources[script] !== "string") {
+			throw new Error(format_string(MSG_INLINE_SOURCE_MISSING, script));
+		}
+
+		code.push(sources[script]);
+	}
+
+	return code.join("\n");
+};
+
+/**
+ * Create a new worker pool.
+ * 
+ * @param {int} worker_count number of worker threads to use. Defaults to the
+ * number of cpus available.
+ *
+ * @param {array of strings} [worker_scripts] an optional list of files that
+ * should be loaded inside each worker.
+ *
+ * @param {array of strings} [lookup_table] lookup table used by tasks to find
+ * methods by name. See `Task`.
+ *
+ * @param {object} [options] additional settings:
+ * - `aging_interval`: milliseconds after which the priority of a waiting task
+ *   is increased by one. Prevents starvation of low priority tasks. Disabled
+ *   by default.
+ * - `min_workers`: number of workers spawned upfront and kept alive. Defaults
+ *   to `worker_count`. Additional workers up to `worker_count` are spawned on
+ *   demand.
+ * - `idle_timeout`: milliseconds after which an idle worker beyond
+ *   `min_workers` is terminated. Disabled by default.
+ * - `worker_script`: url of the worker script. Defaults to
+ *   `WorkerPool.WORKER_SCRIPT` or `WorkerPool.MODULE_WORKER_SCRIPT`.
+ * - `worker_script_root`: path the worker scripts are relative to. Defaults
+ *   to `WorkerPool.WORKER_SCRIPT_ROOT`.
+ * - `inline_worker`: build the workers from the library loaded in this
+ *   thread instead of loading `worker_script`.
+ * - `worker_dependencies`: urls of scripts loaded by inline workers before
+ *   the library, at least assert-js. Required for inline workers.
+ * - `module_worker`: start module workers and import the worker scripts as
+ *   ES modules. Cannot be combined with `inline_worker`.
+ * - `worker_globals`: names of globals defined by the worker scripts.
+ *   Serialized task functions using other undeclared identifiers cause a
+ *   `task_warning`. See `Task#get_free_identifiers()`.
+ */
+function WorkerPool(worker_scripts, worker_count, lookup_table, options) {
+	ASSERT_IS_CTOR(this, WorkerPool);
+
+	WorkerPool.validate_packers();
+
+	options = options || {};
+
+	ASSERT_IS_OBJ(options);
+	ASSERT(options.aging_interval === undefined || options.aging_interval === null ||
+			options.aging_interval > 0, "aging interval must be a positive number");
+	ASSERT(options.idle_timeout === undefined || options.idle_timeout === null ||
+			options.idle_timeout > 0, "idle timeout must be a positive number");
+	ASSERT(!(options.module_worker && options.inline_worker), "inline workers cannot be module workers");
+	ASSERT(options.worker_globals === undefined || Array.isArray(options.worker_globals), "worker globals must be an array of names");
+
+	this.backend = WorkerPool.backend;
+	this._aging_interval = options.aging_interval || null;
+
+	worker_count = worker_count || this.number_of_cpus();
+
+	worker_scripts = worker_scripts || [];
+
+	var min_workers = options.min_workers === undefined ? worker_count : options.min_workers;
+
+	ASSERT_IS_ARRAY(worker_scripts);
+	ASSERT_IS_INT(worker_count);
+	ASSERT(worker_count > 0);
+	ASSERT_IS_NON_NEGATIVE_INT(min_workers);
+	ASSERT(min_workers <= worker_count, "min_workers must not exceed the worker count");
+
+	// slots of workers that are not spawned are null
+	this.workers = [];
+	this.worker_busy = [];
+	this.wait_queue = [];
+	this.events = new EventEmitter();
+
+	this._worker_scripts = worker_scripts;
+	this._lookup_table = lookup_table;
+	this._worker_script_root = options.worker_script_root || this.backend.worker_script_root();
+	this._module_worker = !!options.module_worker;
+	this._worker_script = options.worker_script || (this._module_worker ?
+			this.backend.module_worker_script() : this.backend.worker_script());
+
+	if(options.inline_worker) {
+		var dependencies = options.worker_dependencies;
+
+		ASSERT(is_func(this.backend.code_string_to_url), MSG_INLINE_UNSUPPORTED);
+		ASSERT_IS_ARRAY(dependencies, MSG_INLINE_DEPENDENCIES_MISSING);
+
+		// the worker is loaded from a blob url. Relative urls would not resolve.
+		dependencies = dependencies.map(this.backend.resolve_url);
+		this._worker_script_root = this.backend.resolve_url(this._worker_script_root);
+		this._worker_script = this.code_string_to_url(WorkerPool.inline_worker_source(dependencies));
+	}
+	this._min_workers = min_workers;
+	this._idle_timeout = options.idle_timeout || null;
+	this._idle_timers = [];
+	this._terminated = false;
+	this._draining = false;
+	this._type_registrations = [];
+	this._broadcasts = [];
+	this._worker_globals = (options.worker_globals || []).concat(LIBRARY_GLOBALS,
+			is_func(this.backend.globals) ? this.backend.globals() : []);
+
+	// sources of serialized functions checked for free identifiers
+	this._checked_functions = new Set();
+
+	// per worker: broadcast messages waiting for the worker to become idle
+	// and the number of broadcasts the worker is running
+	this._broadcast_queues = [];
+	this._broadcasts_running = [];
+	this._broadcast_counter = 0;
+
+	// the task that last transfered a buffer away, for stall diagnostics
+	this._transfered_by = new WeakMap();
+
+	for(var i = 0; i < worker_count; ++i) {
+		this.workers[i] = null;
+		this.worker_busy[i] = false;
+		this._idle_timers[i] = null;
+		this._broadcast_queues[i] = [];
+		this._broadcasts_running[i] = 0;
+	}
+
+	this.reset_metrics();
+
+	for(i = 0; i < min_workers; ++i) {
+		this._spawn_worker(i);
+	}
+}
+
+/**
+ * Creates and initializes the worker with index `worker_index`. An existing
+ * worker with the same index MUST be terminated beforehand.
+ */
+WorkerPool.prototype._spawn_worker = function(worker_index) {
+	var worker = this.backend.create_worker(this._worker_script, {
+		type: this._module_worker ? "module" : "classic"
+	});
+
+	this._clear_idle_timer(worker_index);
+
+	this.workers[worker_index] = worker;
+	this.worker_busy[worker_index] = false;
+
+	worker.onerror = this._worker_on_error(worker, worker_index);
+	worker.onmessage = this._worker_on_message(worker);
+	worker.postMessage({
+		worker_index: worker_index,
+		mark_unpacker: WorkerPool.MARK_UNPACKER,
+		worker_script_root: this._worker_script_root,
+		load_scripts: this._worker_scripts,
+		module_worker: this._module_worker,
+		lookup_table: this._lookup_table
+	});
+
+	for(var i = 0; i < this._type_registrations.length; ++i) {
+		worker.postMessage(this._type_registrations[i]);
+	}
+
+	// a new worker has not run any broadcast yet
+	this._broadcast_queues[worker_index] = [];
+	this._broadcasts_running[worker_index] = this._broadcasts.length;
+
+	for(i = 0; i < this._broadcasts.length; ++i) {
+		worker.postMessage(this._broadcasts[i].message);
+	}
+};
+
+/**
+ * Registers a type in this thread and in every worker of the pool, including
+ * workers spawned later. See `WorkerPool.add_packer`.
+ *
+ * The packer and unpacker are serialized like the functions of a `Task`;
+ * they MUST NOT depend on variables of their enclosing scope. Inside the
+ * workers, the constructor is looked up by the tag in the global scope (e.g.
+ * a class defined by a worker script). Dots in the tag separate nested
+ * objects.
+ *
+ * @param {function} type the constructor
+ * @param {function} packer
+ * @param {function} unpacker
+ * @param {string} [tag] the type tag. Defaults to the name of the constructor.
+ */
+WorkerPool.prototype.register_type = function register_type(type, packer, unpacker, tag) {
+	ASSERT_IS_FUNC(type);
+
+	tag = tag || type.name;
+
+	WorkerPool.add_packer(type, packer, tag);
+	WorkerPool.add_unpacker(tag, unpacker);
+
+	this._post_registration({
+		type: WorkerPool.MSG_TYPE_REGISTER_TYPE,
+		tag: tag,
+		packer: String(packer),
+		unpacker: String(unpacker),
+		is_class: false
+	});
+};
+
+/**
+ * Registers a class in this thread and in every worker of the pool, including
+ * workers spawned later. See `WorkerPool.register_class`.
+ *
+ * Inside the workers, the constructor is looked up by the tag in the global
+ * scope, like in `WorkerPool#register_type()`.
+ *
+ * @param {function} type the constructor
+ * @param {string} [tag] the type tag. Defaults to the name of the constructor.
+ */
+WorkerPool.prototype.register_class = function register_class(type, tag) {
+	ASSERT_IS_FUNC(type);
+
+	tag = tag || type.name;
+
+	WorkerPool.register_class(type, tag);
+
+	this._post_registration({
+		type: WorkerPool.MSG_TYPE_REGISTER_TYPE,
+		tag: tag,
+		is_class: true
+	});
+};
+
+/**
+ * Runs `task` once on every worker of the pool and on every worker spawned
+ * later. Workers run broadcast tasks in the order they were broadcast, before
+ * the tasks passed to `#run_task()` afterwards. A busy worker runs the
+ * broadcast as soon as it finished its current task. Tasks are not dispatched
+ * to a worker until its broadcasts finished, so they never overlap.
+ *
+ * Arguments are copied to each worker instead of transfered. The outcome of
+ * every run, including those in workers spawned later, is emitted as
+ * `broadcast_done` (result, task, worker index) or `broadcast_failed` (error,
+ * task, worker index).
+ *
+ * @param {Task} task the task to broadcast
+ *
+ * @return {Promise} resolves with the results of the workers existing at the
+ * time of the call, indexed by worker index. Rejects with the first error.
+ */
+WorkerPool.prototype.broadcast = function broadcast(task) {
+	ASSERT(task instanceof Task);
+	ASSERT(!this._terminated, "Workerpool terminated");
+	ASSERT(!this._draining, MSG_POOL_DRAINING);
+
+	// the message is kept to replay the broadcast in workers spawned later.
+	// `state` is released once the promise settled.
+	var entry = {
+		task: task,
+		message: {
+			type: WorkerPool.MSG_TYPE_BROADCAST,
+			broadcast_id: this._broadcast_counter++,
+			task: task.to_transferable()
+		},
+		state: {
+			pending: [],
+			results: [],
+			resolve: null,
+			reject: null
+		}
+	};
+
+	var promise = new Promise(function(resolve, reject) {
+		entry.state.resolve = resolve;
+		entry.state.reject = reject;
+	});
+
+	this._broadcasts.push(entry);
+
+	for(var i = 0; i < this.workers.length; ++i) {
+		if(this.workers[i] !== null) {
+			entry.state.pending.push(i);
+			this._broadcast_queues[i].push(entry.message);
+			this._post_broadcasts(i);
+		}
+	}
+
+	this._settle_broadcast(entry);
+
+	return promise;
+};
+
+/**
+ * Posts the broadcasts queued for the worker with index `worker_index`, if it
+ * does not run a task. Tasks are not dispatched to the worker until the
+ * broadcasts finished.
+ */
+WorkerPool.prototype._post_broadcasts = function(worker_index) {
+	var queue = this._broadcast_queues[worker_index];
+
+	if(this.worker_busy[worker_index] !== false || queue.length === 0) {
+		return;
+	}
+
+	this._clear_idle_timer(worker_index);
+	this._broadcasts_running[worker_index] += queue.length;
+
+	for(var i = 0; i < queue.length; ++i) {
+		this.workers[worker_index].postMessage(queue[i]);
+	}
+
+	this._broadcast_queues[worker_index] = [];
+};
+
+/**
+ * @return {boolean} true, if the worker with index `worker_index` is spawned
+ * and neither runs a task nor broadcasts
+ */
+WorkerPool.prototype._is_idle = function(worker_index) {
+	return this.workers[worker_index] !== null &&
+		this.worker_busy[worker_index] === false &&
+		this._broadcasts_running[worker_index] === 0 &&
+		this._broadcast_queues[worker_index].length === 0;
+};
+
+/**
+ * @return {boolean} true, if the worker with index `worker_index` is spawned
+ * and runs no task, but broadcasts
+ */
+WorkerPool.prototype._is_starting = function(worker_index) {
+	return this.workers[worker_index] !== null &&
+		this.worker_busy[worker_index] === false &&
+		!this._is_idle(worker_index);
+};
+
+/**
+ * Handles the outcome of a broadcast task in the worker with index
+ * `worker_index`.
+ */
+WorkerPool.prototype._broadcast_done = function(data, worker_index) {
+	var entry = null;
+
+	for(var i = 0; i < this._broadcasts.length; ++i) {
+		if(this._broadcasts[i].message.broadcast_id === data.broadcast_id) {
+			entry = this._broadcasts[i];
+		}
+	}
+
+	ASSERT(entry !== null, "received result of unknown broadcast");
+
+	--this._broadcasts_running[worker_index];
+
+	var state = entry.state;
+	var pending_index = state !== null ? state.pending.indexOf(worker_index) : -1;
+
+	if(pending_index !== -1) {
+		state.pending.splice(pending_index, 1);
+	}
+
+	if(data.error !== undefined) {
+		var error = WorkerPool._unpack_error(data.error);
+
+		this.events.emit("broadcast_failed", error, entry.task, worker_index);
+
+		if(pending_index !== -1) {
+			entry.state = null;
+			state.reject(error);
+		}
+	} else {
+		var result = WorkerPool._unpack(data.result);
+
+		this.events.emit("broadcast_done", result, entry.task, worker_index);
+
+		if(pending_index !== -1) {
+			state.results[worker_index] = result;
+			this._settle_broadcast(entry);
+		}
+	}
+
+	if(this._is_idle(worker_index)) {
+		this._schedule_retirement(worker_index);
+	}
+};
+
+/**
+ * Resolves the promise of a broadcast once all workers it waits for reported.
+ */
+WorkerPool.prototype._settle_broadcast = function(entry) {
+	var state = entry.state;
+
+	if(state !== null && state.pending.length === 0) {
+		entry.state = null;
+		state.resolve(state.results);
+	}
+};
+
+/**
+ * Stops waiting for the broadcast results of a retired or terminated worker.
+ */
+WorkerPool.prototype._drop_broadcast_results = function(worker_index, error) {
+	this._broadcast_queues[worker_index] = [];
+	this._broadcasts_running[worker_index] = 0;
+
+	for(var i = 0; i < this._broadcasts.length; ++i) {
+		var entry = this._broadcasts[i];
+		var pending_index = entry.state !== null ? entry.state.pending.indexOf(worker_index) : -1;
+
+		if(pending_index === -1) {
+			continue;
+		}
+
+		entry.state.pending.splice(pending_index, 1);
+
+		if(error) {
+			var reject = entry.state.reject;
+			entry.state = null;
+			reject(error);
+		} else {
+			this._settle_broadcast(entry);
+		}
+	}
+};
+
+/**
+ * Posts a type registration to all workers and keeps it for workers spawned
+ * later.
+ */
+WorkerPool.prototype._post_registration = function(registration) {
+	this._type_registrations.push(registration);
+
+	for(var i = 0; i < this.workers.length; ++i) {
+		if(this.workers[i] !== null) {
+			this.workers[i].postMessage(registration);
+		}
+	}
+};
+
+/**
+ * Terminates an idle worker and frees its slot.
+ */
+WorkerPool.prototype._retire_worker = function(worker_index) {
+	ASSERT(this.worker_busy[worker_index] === false, "cannot retire a busy worker");
+
+	var worker = this.workers[worker_index];
+
+	this._clear_idle_timer(worker_index);
+
+	worker.onmessage = null;
+	worker.onerror = null;
+	worker.terminate();
+
+	this.workers[worker_index] = null;
+	this._drop_broadcast_results(worker_index);
+	this.events.emit("worker_retired", worker_index);
+};
+
+WorkerPool.prototype._clear_idle_timer = function(worker_index) {
+	if(this._idle_timers[worker_index] !== null) {
+		clearTimeout(this._idle_timers[worker_index]);
+		this._idle_timers[worker_index] = null;
+	}
+};
+
+/**
+ * Retires the idle worker `worker_index` after the idle timeout, if there are
+ * more workers than required.
+ */
+WorkerPool.prototype._schedule_retirement = function(worker_index) {
+	if(this._idle_timeout === null) {
+		return;
+	}
+
+	this._clear_idle_timer(worker_index);
+
+	this._idle_timers[worker_index] = setTimeout((function(self) { return function() {
+		self._idle_timers[worker_index] = null;
+
+		if(self._is_idle(worker_index) &&
+				self.worker_count() > self._min_workers) {
+			self._retire_worker(worker_index);
+		}
+	};})(this), this._idle_timeout);
+};
+
+/**
+ * @return {int} number of currently spawned workers
+ */
+WorkerPool.prototype.worker_count = function worker_count() {
+	var count = 0;
+
+	for(var i = 0; i < this.workers.length; ++i) {
+		if(this.workers[i] !== null) {
+			++count;
+		}
+	}
+
+	return count;
+};
+
+/**
+ * @return {int|null} the index of the worker `task` is pinned or routed to, or
+ * null, if it may run on any worker.
+ */
+WorkerPool.prototype._target_worker = function(task) {
+	if(task._worker_index !== null) {
+		return task._worker_index;
+	}
+
+	if(task._affinity !== null) {
+		return hash_key(task._affinity) % this.workers.length;
+	}
+
+	return null;
+};
+
+function hash_key(key) {
+	var str = String(key);
+	var hash = 0;
+
+	for(var i = 0; i < str.length; ++i) {
+		hash = (hash * 31 + str.charCodeAt(i)) | 0;
+	}
+
+	return Math.abs(hash);
+}
+
+/**
+ * @param {Task} [task] only considers the worker `task` is pinned or routed to
+ *
+ * @return {int} index of an idle worker, -1 if there is none and no worker
+ * can be spawned.
+ */
+WorkerPool.prototype._find_idle_worker = function(task) {
+	var free_slot = -1;
+	var target = task ? this._target_worker(task) : null;
+
+	// the worker spawned for the task will take it once it replayed the broadcasts
+	if(task && task._starting_worker !== null && this._is_starting(task._starting_worker)) {
+		return -1;
+	}
+
+	// retries prefer any other worker over the one that failed
+	var failed_worker = task ? task._failed_worker : null;
+	var failed_worker_idle = false;
+
+	if(target !== null) {
+		return this.workers[target] === null || this._is_idle(target) ? target : -1;
+	}
+
+	for(var i = 0; i < this.workers.length; ++i) {
+		if(this.workers[i] === null) {
+			if(free_slot === -1) {
+				free_slot = i;
+			}
+		} else if(this._is_idle(i)) {
+			if(i !== failed_worker) {
+				return i;
+			}
+
+			failed_worker_idle = true;
+		}
+	}
+
+	return free_slot === -1 && failed_worker_idle ? failed_worker : free_slot;
+};
+
+/**
+ * Returns the index of an idle worker. Spawns a worker if necessary.
+ *
+ * @param {Task} [task] only considers the worker `task` is pinned or routed to
+ *
+ * @return {int} the worker index or -1, if all workers are busy or the
+ * spawned worker runs broadcasts first
+ */
+WorkerPool.prototype._acquire_worker = function(task) {
+	var i = this._find_idle_worker(task);
+
+	if(i !== -1 && this.workers[i] === null) {
+		this._spawn_worker(i);
+
+		// new workers replay the broadcasts before they accept tasks
+		if(!this._is_idle(i)) {
+			if(task) {
+				task._starting_worker = i;
+			}
+
+			return -1;
+		}
+	}
+
+	return i;
+};
+
+/**
+ * Run a task on the next free worker or enqueue it, if all workers are busy.
+ *
+ * @param {Task} task the task to run
+ *
+ * @return {TaskHandle} a handle that resolves with the unpacked result of the
+ * task.
+ */
+WorkerPool.prototype.run_task = function run_task(task) {
+	ASSERT(task instanceof Task);
+	ASSERT(!this._terminated, "Workerpool terminated");
+	ASSERT(!this._draining, MSG_POOL_DRAINING);
+	ASSERT(task._worker_index === null || task._worker_index < this.workers.length,
+		format_string(MSG_WORKER_INDEX_INVALID, task._worker_index, this.workers.length));
+
+	task._handle = new TaskHandle(task, this);
+	task._timing = {submitted: timestamp(), started: null, finished: null};
+	task._attempts = 0;
+	task._failed_worker = null;
+	task._starting_worker = null;
+	task._retry_pending = false;
+
+	++this._metrics.tasks_submitted;
+	this.events.emit("task_queued", task, task._timing);
+
+	this._check_free_identifiers(task);
+
+	var worker_index = task.has_neutered_buffer() ? -1 : this._acquire_worker(task);
+
+	if(worker_index === -1) {
+		//console.info("pushing", task.fn_name);
+		this._enqueue_task(task);
+
+		// no running task may return the buffers the new task waits for
+		this._fail_stalled_tasks();
+	} else {
+		this._post_task(worker_index, task);
+	}
+
+	return task._handle;
+};
+
+// globals the library defines in every worker
+var LIBRARY_GLOBALS = [
+	"Task", "WorkerPool", "TaskHandle", "LateStaticBinding", "DefeeredResult",
+	"AsyncResult", "ProgressReporter", "StreamResult", "Await", "RESULT_OF",
+	"REFERENCE_TO_RESULT_OF", "AWAIT", "ASYNC_RESULT", "ASYNC", "ASYNC_MULTI",
+	"ASYNC_ERROR_FIRST", "ASYNC_RESOLVE", "ASYNC_REJECT", "PROGRESS", "STREAM",
+	"VARIABLE", "SharedLatch", "shared_typed_array", "is_shared_memory"
+];
+
+/**
+ * Emits `task_warning` once per function, if a serialized task function uses
+ * identifiers that will not be defined in the worker, e.g. variables of its
+ * closure. The warning is an `Error` named
+ * `WorkerPool.WARNING_FREE_IDENTIFIERS` listing the `identifiers`.
+ */
+WorkerPool.prototype._check_free_identifiers = function(task) {
+	if(!task.fn || this._checked_functions.has(task.fn)) {
+		return;
+	}
+
+	this._checked_functions.add(task.fn);
+
+	var free = task.get_free_identifiers(this._worker_globals);
+
+	if(free.length !== 0) {
+		var warning = new Error(format_string(MSG_FREE_IDENTIFIERS, free.join(", "), describe_task(task)));
+		warning.name = WorkerPool.WARNING_FREE_IDENTIFIERS;
+		warning.identifiers = free;
+
+		this.events.emit("task_warning", warning, task);
+	}
+};
+
+/**
+ * Appends `task` to the wait queue.
+ */
+WorkerPool.prototype._enqueue_task = function(task) {
+	task._enqueue_time = Date.now();
+	this.wait_queue.push(task);
+
+	this._metrics.max_queue_depth = Math.max(this._metrics.max_queue_depth, this.wait_queue.length);
+};
+
+/**
+ * Priority of a waiting task including the bonus gained by aging.
+ */
+WorkerPool.prototype._effective_priority = function(task, now) {
+	var priority = task._priority;
+
+	if(this._aging_interval !== null) {
+		priority += Math.floor((now - task._enqueue_time) / this._aging_interval);
+	}
+
+	return priority;
+};
+
+/**
+ * Cancels a task passed to `#run_task`.
+ *
+ * Queued tasks are removed from the wait queue. If the task is currently
+ * running, its worker is terminated and replaced by a new worker. Note that
+ * buffers transfered to a terminated worker are lost.
+ *
+ * The handle of the task is rejected with an error named
+ * `WorkerPool.ERROR_CANCELLED` and the `task_cancelled` event is emitted.
+ *
+ * @return {boolean} false, if the task already finished.
+ */
+WorkerPool.prototype.cancel_task = function cancel_task(task) {
+	ASSERT(task instanceof Task);
+
+	var error = new Error(MSG_TASK_CANCELLED);
+	error.name = WorkerPool.ERROR_CANCELLED;
+
+	return this._cancel_task(task, error);
+};
+
+WorkerPool.prototype._cancel_task = function(task, error) {
+	if(!task._handle || task._handle.settled) {
+		return false;
+	}
+
+	var queue_index = this.wait_queue.indexOf(task);
+
+	if(queue_index !== -1) {
+		this.wait_queue.splice(queue_index, 1);
+		++this._metrics.tasks_cancelled;
+		this.events.emit("task_cancelled", error, task, null);
+		task._handle._fail(error, null);
+		this._terminate_if_drained();
+		return true;
+	}
+
+	var worker_index = this.worker_busy.indexOf(task);
+
+	ASSERT(worker_index !== -1, "task to cancel was not passed to this pool");
+
+	this._release_worker(worker_index);
+	this._replace_worker(worker_index);
+
+	++this._metrics.tasks_cancelled;
+	this.events.emit("task_cancelled", error, task, worker_index);
+	task._handle._fail(error, worker_index);
+
+	this._run_waiting_task();
+	this._terminate_if_drained();
+
+	return true;
+};
+
+/**
+ * Terminates the worker with index `worker_index` and spawns a new worker
+ * in its place.
+ */
+WorkerPool.prototype._replace_worker = function(worker_index) {
+	var worker = this.workers[worker_index];
+
+	worker.onmessage = null;
+	worker.onerror = null;
+	worker.terminate();
+
+	this._spawn_worker(worker_index);
+};
+
+/**
+ * Posts `task` to the idle worker with index `worker_index`.
+ */
+WorkerPool.prototype._post_task = function(worker_index, task) {
+	var packed = task.to_transferable();
+
+	this._clear_idle_timer(worker_index);
+	this.worker_busy[worker_index] = task;
+
+	task._timing.started = timestamp();
+	record_duration(this._metrics.wait_time, task._timing.started - task._timing.submitted);
+	this._metrics.workers[worker_index].busy_since = task._timing.started;
+	this._metrics.bytes_to_workers += WorkerPool._byte_length(packed.transferables);
+
+	for(var i = 0; i < packed.transferables.length; ++i) {
+		this._transfered_by.set(packed.transferables[i], task);
+	}
+
+	++this._metrics.tasks_started;
+	++task._attempts;
+
+	this.events.emit("task_started", task, worker_index, task._timing);
+
+	if(task._timeout !== null) {
+		task._timeout_id = setTimeout((function(self, task) { return function() {
+			var error = new Error(format_string(MSG_TASK_TIMEOUT, task._timeout));
+			error.name = WorkerPool.ERROR_TIMEOUT;
+			self._cancel_task(task, error);
+		};})(this, task), task._timeout);
+	}
+
+	//console.info("running", task.fn_name);
+	this.workers[worker_index].postMessage(packed, packed.transferables);
+};
+
+/**
+ * Marks the worker with index `worker_index` as idle.
+ *
+ * @return {Task} the task the worker was running
+ */
+WorkerPool.prototype._release_worker = function(worker_index) {
+	var task = this.worker_busy[worker_index];
+	var worker_metrics = this._metrics.workers[worker_index];
+
+	this.worker_busy[worker_index] = false;
+	this._schedule_retirement(worker_index);
+
+	task._timing.finished = timestamp();
+
+	// metrics may have been reset while the task was running
+	if(worker_metrics.busy_since !== null) {
+		worker_metrics.busy_time += task._timing.finished - Math.max(worker_metrics.busy_since, this._metrics.since);
+		worker_metrics.busy_since = null;
+	}
+
+	if(task._timeout_id !== null) {
+		clearTimeout(task._timeout_id);
+		task._timeout_id = null;
+	}
+
+	return task;
+};
+
+/**
+ * Handles errors that are not caught inside the worker, e.g. errors thrown
+ * asynchronously by a task or failing imports. The task currently executed
+ * by the worker is failed. Errors of idle workers are emitted using
+ * `worker_failed` with the task `null`. Workers that were ended by the error
+ * are replaced.
+ */
+WorkerPool.prototype._worker_on_error = function(worker, worker_index) {
+	return (function(self) {
+		return function worker_on_error(e) {
+			// ignore errors of replaced workers
+			if(self.workers[worker_index] !== worker) {
+				return;
+			}
+
+			// convert ErrorEvent to Error
+			var error = e.error instanceof Error ? e.error :
+				new Error(e.message + " [" + e.filename + "@" + e.lineno + ":" + e.colno + "]");
+
+			if(typeof e.preventDefault === "function") {
+				e.preventDefault();
+			}
+
+			if(self.worker_busy[worker_index] === false) {
+				if(e.fatal) {
+					self._replace_worker(worker_index);
+				}
+
+				self.events.emit("worker_failed", error, null, worker_index, 0);
+				return;
+			}
+
+			var task = self._release_worker(worker_index);
+
+			if(e.fatal) {
+				self._replace_worker(worker_index);
+			}
+
+			self._fail_task(task, error, worker_index, e.fatal);
+			self._run_waiting_task();
+			self._terminate_if_drained();
+		};
+	})(this);
+};
+
+WorkerPool.prototype._worker_on_message = function(worker) {
+	return (function(self) {
+		return function worker_on_message(e) {
+			var worker_index = e.data.worker_index;
+
+			// ignore messages of replaced workers
+			if(self.workers[worker_index] !== worker) {
+				return;
+			}
+
+			if(e.data.transfer_bytes) {
+				self._metrics.bytes_from_workers += e.data.transfer_bytes;
+			}
+
+			if(e.data.type === WorkerPool.MSG_TYPE_BROADCAST_RESULT) {
+				self._broadcast_done(e.data, worker_index);
+				self._run_waiting_task();
+				self._terminate_if_drained();
+				return;
+			}
+
+			if(e.data.type === WorkerPool.MSG_TYPE_PROGRESS) {
+				var progress = WorkerPool._unpack(e.data.progress);
+				var running_task = self.worker_busy[worker_index];
+
+				self.events.emit("task_progress", progress, running_task, worker_index);
+				running_task._handle._progress(progress);
+				return;
+			}
+
+			if(e.data.type === WorkerPool.MSG_TYPE_CHUNK) {
+				var chunk = WorkerPool._unpack(e.data.chunk);
+				var streaming_task = self.worker_busy[worker_index];
+
+				self.events.emit("task_chunk", chunk, streaming_task, worker_index);
+				streaming_task._handle._chunk(chunk);
+				return;
+			}
+
+			var finished_task = self._release_worker(worker_index);
+
+			if(e.data.automatic_backtransfer) {
+				self._repair_references(finished_task, e.data.automatic_backtransfer);
+			}
+
+			if(e.data.type === WorkerPool.MSG_TYPE_ERROR) {
+				self._fail_task(finished_task, WorkerPool._unpack_error(e.data.error), worker_index);
+			} else {
+				self._finish_task(finished_task, WorkerPool._unpack(e.data.result), worker_index);
+			}
+
+			self._run_waiting_task();
+			self._terminate_if_drained();
+		};
+	})(this);
+};
+
+/**
+ * Emits `worker_done`, fulfills the handle of `task` and counts it as
+ * finished. Failed, cancelled and retried attempts are not finished tasks.
+ */
+WorkerPool.prototype._finish_task = function(task, result, worker_index) {
+	// emit the result and original task object
+	this.events.emit("worker_done", result, task, worker_index, task._attempts);
+	//console.info("done with", task.fn_name);
+	task._handle._fulfill(result, worker_index);
+
+	record_duration(this._metrics.run_time, task._timing.finished - task._timing.started);
+	++this._metrics.workers[worker_index].tasks_finished;
+	++this._metrics.tasks_finished;
+
+	this.events.emit("task_finished", task, worker_index, task._timing);
+};
+
+/**
+ * Re-attaches the buffers transfered back by a worker to the arguments and
+ * the scope of `task`. Replacements are substituted in all waiting tasks as well.
+ *
+ * @param {Task} task the task that finished
+ * @param {object} backtransfer the task as packed by the worker
+ */
+WorkerPool.prototype._repair_references = function(task, backtransfer) {
+	var replacements = [];
+
+	var add_replacement = function(neutered, returned) {
+		var repaired = WorkerPool._repair_reference(neutered, returned);
+
+		if(repaired !== neutered) {
+			replacements.push([neutered, repaired]);
+		}
+	};
+
+	for(var i = 0; i < task.args.length && i < backtransfer.args.length; ++i) {
+		add_replacement(task.args[i], WorkerPool._unpack(backtransfer.args[i]));
+	}
+
+	if(task._this_arg !== null && backtransfer._this_arg !== null) {
+		add_replacement(task._this_arg, WorkerPool._unpack(backtransfer._this_arg));
+	}
+
+	if(task._scope !== null && backtransfer._scope) {
+		var scope = WorkerPool._unpack(backtransfer._scope);
+
+		for(var name in task._scope) {
+			if(task._scope.hasOwnProperty(name)) {
+				add_replacement(task._scope[name], scope[name]);
+			}
+		}
+	}
+
+	for(i = 0; i < replacements.length; ++i) {
+		task._replace_reference(replacements[i][0], replacements[i][1]);
+
+		for(var n = 0; n < this.wait_queue.length; ++n) {
+			this.wait_queue[n]._replace_reference(replacements[i][0], replacements[i][1]);
+		}
+	}
+};
+
+/**
+ * Emits `worker_failed` and rejects the handle of `task`, unless the retry
+ * policy of the task asks to run it again. Tasks that lost their transfered
+ * buffers, e.g. to a crashed worker, cannot run again and fail instead.
+ *
+ * @param {boolean} [worker_replaced] the failed worker was already replaced
+ */
+WorkerPool.prototype._fail_task = function(task, error, worker_index, worker_replaced) {
+	if(task._should_retry(error) && !task.has_neutered_buffer()) {
+		this._retry_task(task, error, worker_index, worker_replaced);
+		return;
+	}
+
+	++this._metrics.tasks_failed;
+	this.events.emit("worker_failed", error, task, worker_index, task._attempts);
+	task._handle._fail(error, worker_index);
+};
+
+/**
+ * Queues a failed task again. It is not dispatched before the delay of its
+ * retry policy passed. `task_retry` passes the timing of the failed attempt.
+ */
+WorkerPool.prototype._retry_task = function(task, error, worker_index, worker_replaced) {
+	var delay = task._retry_delay();
+
+	if(task._retry.replace_worker && !worker_replaced) {
+		this._replace_worker(worker_index);
+	}
+
+	// a replaced worker is as good as any other
+	task._failed_worker = task._retry.replace_worker || worker_replaced ? null : worker_index;
+
+	++this._metrics.tasks_retried;
+	this.events.emit("task_retry", error, task, worker_index, task._attempts, {
+		submitted: task._timing.submitted,
+		started: task._timing.started,
+		finished: task._timing.finished
+	});
+
+	if(delay > 0) {
+		task._retry_pending = true;
+
+		setTimeout((function(self) { return function() {
+			task._retry_pending = false;
+
+			if(!self._terminated) {
+				self._run_waiting_task();
+			}
+		};})(this), delay);
+	}
+
+	this._enqueue_task(task);
+};
+
+/**
+ * Dispatches waiting tasks to idle workers.
+ */
+WorkerPool.prototype._run_waiting_task = function() {
+	// broadcasts run before the waiting tasks
+	for(var i = 0; i < this.workers.length; ++i) {
+		if(this.workers[i] !== null) {
+			this._post_broadcasts(i);
+		}
+	}
+
+	while(this._dispatch_waiting_task()) {
+		// a task may wait for a busy worker while another worker is idle.
+		// Continue until no waiting task can be dispatched.
+	}
+};
+
+/**
+ * Dispatches the waiting task with the highest priority, that has no
+ * neutered buffers and whose worker is idle. Tasks with the same priority
+ * are dispatched in the order they were queued.
+ *
+ * @return {boolean} true, if a task was dispatched
+ */
+WorkerPool.prototype._dispatch_waiting_task = function() {
+	if(this.wait_queue.length === 0) {
+		return false;
+	}
+
+	if(this._find_idle_worker() === -1) {
+		return false;
+	}
+
+	var task_index = -1;
+	var task_priority = 0;
+	var now = Date.now();
+
+	// the wait queue is ordered by time of arrival. Only replacing the
+	// selected task on strictly higher priority keeps the order stable.
+	for(var n = 0; n < this.wait_queue.length; ++n) {
+		var priority = this._effective_priority(this.wait_queue[n], now);
+
+		if((task_index === -1 || priority > task_priority) &&
+				!this.wait_queue[n]._retry_pending &&
+				this._find_idle_worker(this.wait_queue[n]) !== -1 &&
+				!this.wait_queue[n].has_neutered_buffer()) {
+			task_index = n;
+			task_priority = priority;
+		}
+	}
+
+	var task = null;
+
+	if(task_index !== -1) {
+		task = this.wait_queue[task_index];
+	}
+
+	if(task === null) {
+		this._fail_stalled_tasks();
+		return false;
+	}
+
+	var worker_index = this._acquire_worker(task);
+
+	// the task stays queued, if its worker was spawned and replays broadcasts
+	if(worker_index === -1) {
+		return false;
+	}
+
+	this.wait_queue.splice(task_index, 1);
+	this._post_task(worker_index, task);
+
+	return true;
+};
+
+/**
+ * Detects a stalled pool: if no task is running, waiting tasks with neutered
+ * buffers will never be dispatched. These tasks are removed from the wait
+ * queue and failed with an error named `WorkerPool.ERROR_STALLED`. Emits
+ * `pool_stalled` with the error and the list of blocked tasks.
+ */
+WorkerPool.prototype._fail_stalled_tasks = function() {
+	if(this._has_running_tasks()) {
+		return;
+	}
+
+	var blocked = [];
+
+	for(var i = 0; i < this.wait_queue.length; ++i) {
+		var missing = this.wait_queue[i].get_neutered_buffers();
+
+		if(missing.length !== 0) {
+			blocked.push({
+				task: this.wait_queue[i],
+				missing: missing,
+				transfered_by: missing.map(function(buffer) {
+					return this._transfered_by.get(buffer) || null;
+				}, this)
+			});
+		}
+	}
+
+	if(blocked.length === 0) {
+		return;
+	}
+
+	var error = new Error(format_string(MSG_WORKERPOOL_STALLED, blocked.length, blocked.map(describe_blocked_task).join("; ")));
+	error.name = WorkerPool.ERROR_STALLED;
+	error.blocked = blocked;
+
+	for(i = 0; i < blocked.length; ++i) {
+		this.wait_queue.splice(this.wait_queue.indexOf(blocked[i].task), 1);
+	}
+
+	this.events.emit("pool_stalled", error, blocked);
+
+	for(i = 0; i < blocked.length; ++i) {
+		++this._metrics.tasks_failed;
+		blocked[i].task._handle._fail(error, null);
+	}
+
+	this._terminate_if_drained();
+};
+
+function describe_task(task) {
+	return task.fn_name ? task.fn_name : shorten_string(task.fn);
+}
+
+function describe_blocked_task(blocked) {
+	var culprits = [];
+
+	for(var i = 0; i < blocked.transfered_by.length; ++i) {
+		var culprit = blocked.transfered_by[i] === null ? "an unknown task" : "<" + describe_task(blocked.transfered_by[i]) + ">";
+
+		if(culprits.indexOf(culprit) === -1) {
+			culprits.push(culprit);
+		}
+	}
+
+	return format_string(MSG_TASK_BLOCKED, describe_task(blocked.task), blocked.missing.length, culprits.join(", "));
+}
+
+WorkerPool.prototype._has_running_tasks = function() {
+
+	for(var n = 0; n < this.worker_busy.length; ++n) {
+		if(this.worker_busy[n] !== false) {
+			return true;
+		}
+	}
+
+	return false;
+};
+
+/**
+ * Default number of items per task used by `#map()`, `#map_chunks()` and
+ * `#reduce()`: splits `length` items evenly across all cpus.
+ */
+WorkerPool.prototype._chunk_size = function(length, options) {
+	if(options && options.chunk_size !== undefined) {
+		ASSERT(is_int(options.chunk_size) && options.chunk_size > 0, "chunk size must be a positive integer");
+		return options.chunk_size;
+	}
+
+	var cpus = this.number_of_cpus() || this.workers.length;
+
+	return Math.max(1, Math.ceil(length / cpus));
+};
+
+/**
+ * Runs one task per chunk of `items` and resolves with the ordered results.
+ *
+ * @param {function} make_task called with the chunk and the index of its first
+ * item; returns the task for the chunk
+ * @param {boolean} [write_back] copy transfered TypedArray chunks back into
+ * `items` once their task finished
+ */
+WorkerPool.prototype._run_chunked = function(items, options, make_task, write_back) {
+	ASSERT(items !== null && items !== undefined && is_int(items.length), "items must be an array or typed array");
+
+	var chunk_size = this._chunk_size(items.length, options);
+	var is_view = is_func(items.subarray);
+	var is_shared = is_view && typeof is_shared_memory === "function" && is_shared_memory(items);
+	var handles = [];
+
+	for(var offset = 0; offset < items.length; offset += chunk_size) {
+		// shared chunks are views; the others need a buffer of their own to be transfered
+		var chunk = is_shared ?
+			items.subarray(offset, offset + chunk_size) :
+			items.slice(offset, offset + chunk_size);
+		var task = make_task(chunk, offset);
+		var promise = this.run_task(task).promise;
+
+		if(write_back && is_view && !is_shared) {
+			promise = promise.then(write_chunk_back(items, task, offset));
+		}
+
+		handles.push(promise);
+	}
+
+	return Promise.all(handles);
+};
+
+// returns a callback copying the (transfered back) first argument of `task` into `items`
+function write_chunk_back(items, task, offset) {
+	return function(result) {
+		if(!WorkerPool._is_neutered(task.args[0])) {
+			items.set(task.args[0], offset);
+		}
+
+		return result;
+	};
+}
+
+/**
+ * Describes the function of a task, so it can be called from another
+ * function running in a worker.
+ */
+function task_fn_descriptor(fn) {
+	var task = new Task(fn, []);
+
+	return {fn: task.fn, fn_name: task.fn_name};
+}
+
+// runs inside a worker. Calls the function described by `fn_desc` for each item.
+function map_items(fn_desc, items, offset) {
+	var results = [];
+
+	for(var i = 0; i < items.length; ++i) {
+		var task = new Task(null, [items[i], offset + i]);
+		task.fn = fn_desc.fn;
+		task.fn_name = fn_desc.fn_name;
+
+		results.push(task.run_fn());
+	}
+
+	return results;
+}
+
+// runs inside a worker. Folds `items` using the function described by `fn_desc`.
+function reduce_items(fn_desc, items, has_initial, initial) {
+	var acc = has_initial ? initial : items[0];
+
+	for(var i = has_initial ? 0 : 1; i < items.length; ++i) {
+		var task = new Task(null, [acc, items[i]]);
+		task.fn = fn_desc.fn;
+		task.fn_name = fn_desc.fn_name;
+
+		acc = task.run_fn();
+	}
+
+	return acc;
+}
+
+/**
+ * Calls `fn(item, index)` for each item in parallel. Items are distributed
+ * in chunks of `options.chunk_size` items per task and copied to the workers.
+ * `fn` must return synchronously.
+ *
+ * ```js
+ * pool.map(function(x) { return x * x; }, [1, 2, 3]).then(function(squares) {});
+ * ```
+ *
+ * @param {function|string} fn a function or the name of a function in the
+ * workers, like the first argument of `Task`
+ * @param {array|TypedArray} items
+ * @param {object} [options]
+ * @param {int} [options.chunk_size] items per task. Defaults to an even split
+ * across `#number_of_cpus()`.
+ *
+ * @return {Promise} resolves with the results in the order of `items`
+ */
+WorkerPool.prototype.map = function map(fn, items, options) {
+	var fn_desc = task_fn_descriptor(fn);
+
+	return this._run_chunked(items, options, function(chunk, offset) {
+		return new Task(map_items, [fn_desc, chunk, offset]);
+	}).then(function(chunk_results) {
+		return Array.prototype.concat.apply([], chunk_results);
+	});
+};
+
+/**
+ * Calls `fn(chunk, offset)` for each chunk of `items` in parallel, where
+ * `chunk` holds the items starting at index `offset`.
+ *
+ * Chunks of TypedArrays are sliced into a buffer of their own, which is
+ * transfered to the worker and back. Changes made by `fn` to its chunk are
+ * copied back into `items` when the chunk is done. Only chunks of
+ * TypedArrays backed by a `SharedArrayBuffer` avoid these copies: they are
+ * views into the shared buffer, so workers write their results in place.
+ *
+ * @param {function|string} fn a function or the name of a function in the
+ * workers, like the first argument of `Task`
+ * @param {array|TypedArray} items
+ * @param {object} [options] see `#map()`
+ *
+ * @return {Promise} resolves with the results of all chunks in order
+ */
+WorkerPool.prototype.map_chunks = function map_chunks(fn, items, options) {
+	return this._run_chunked(items, options, function(chunk, offset) {
+		return new Task(fn, [chunk, offset], true);
+	}, true);
+};
+
+/**
+ * Folds `items` using `fn(accumulator, item)` in parallel. Each chunk is
+ * reduced by a worker, the partial results are reduced by a final task,
+ * starting with `initial` if given. Therefore `fn` MUST be associative.
+ *
+ * @param {function|string} fn a function or the name of a function in the
+ * workers, like the first argument of `Task`
+ * @param {array|TypedArray} items
+ * @param [initial] the initial value of the accumulator
+ * @param {object} [options] see `#map()`
+ *
+ * @return {Promise} resolves with the reduced value
+ */
+WorkerPool.prototype.reduce = function reduce(fn, items, initial, options) {
+	var has_initial = arguments.length > 2 && initial !== undefined;
+	var fn_desc = task_fn_descriptor(fn);
+	var self = this;
+
+	if(items.length === 0) {
+		if(!has_initial) {
+			return Promise.reject(new TypeError(MSG_REDUCE_EMPTY));
+		}
+
+		return Promise.resolve(initial);
+	}
+
+	return this._run_chunked(items, options, function(chunk) {
+		return new Task(reduce_items, [fn_desc, chunk, false, null]);
+	}).then(function(partials) {
+		return self.run_task(new Task(reduce_items, [fn_desc, partials, has_initial, has_initial ? initial : null])).promise;
+	});
+};
+
+function timestamp() {
+	return typeof performance !== "undefined" && is_func(performance.now) ?
+		performance.now() : Date.now();
+}
+
+function record_duration(stats, duration) {
+	++stats.count;
+	stats.total += duration;
+	stats.max = Math.max(stats.max, duration);
+}
+
+function duration_snapshot(stats) {
+	return {
+		count: stats.count,
+		total: stats.total,
+		mean: stats.count === 0 ? 0 : stats.total / stats.count,
+		max: stats.max
+	};
+}
+
+/**
+ * Sum of the sizes of `buffers` in bytes.
+ */
+WorkerPool._byte_length = function(buffers) {
+	var bytes = 0;
+
+	for(var i = 0; i < buffers.length; ++i) {
+		bytes += buffers[i].byteLength || 0;
+	}
+
+	return bytes;
+};
+
+/**
+ * Clears all counters of `#metrics()`. Tasks currently running count as busy
+ * from now on.
+ */
+WorkerPool.prototype.reset_metrics = function reset_metrics() {
+	var now = timestamp();
+
+	this._metrics = {
+		since: now,
+		tasks_submitted: 0,
+		tasks_started: 0,
+		tasks_finished: 0,
+		tasks_failed: 0,
+		tasks_cancelled: 0,
+		tasks_retried: 0,
+		max_queue_depth: this.wait_queue.length,
+		wait_time: {count: 0, total: 0, max: 0},
+		run_time: {count: 0, total: 0, max: 0},
+		bytes_to_workers: 0,
+		bytes_from_workers: 0,
+		workers: []
+	};
+
+	for(var i = 0; i < this.workers.length; ++i) {
+		this._metrics.workers[i] = {
+			busy_time: 0,
+			busy_since: this.worker_busy[i] !== false ? now : null,
+			tasks_finished: 0
+		};
+	}
+};
+
+/**
+ * Returns a snapshot of the metrics collected since the pool was created or
+ * `#reset_metrics()` was called. Times are in milliseconds. Transfer sizes
+ * count the bytes of all buffers transfered, not of copied values.
+ *
+ * @return {object} with the fields:
+ * - `timestamp`, `elapsed`: time of the snapshot and time since the start
+ * - `queue_depth`, `max_queue_depth`: number of waiting tasks
+ * - `tasks`: counters `submitted`, `started`, `finished`, `failed`,
+ *   `cancelled` and `retried`
+ * - `wait_time`, `run_time`: `count`, `total`, `mean` and `max` of the time
+ *   tasks waited before they were dispatched and of the time finished tasks
+ *   ran
+ * - `bytes_to_workers`, `bytes_from_workers`
+ * - `workers`: for each worker slot `index`, `alive`, `busy`, `busy_time`,
+ *   `utilisation` (share of the elapsed time spent busy) and
+ *   `tasks_finished`
+ */
+WorkerPool.prototype.metrics = function metrics() {
+	var now = timestamp();
+	var elapsed = now - this._metrics.since;
+	var workers = [];
+
+	for(var i = 0; i < this.workers.length; ++i) {
+		var worker_metrics = this._metrics.workers[i];
+		var busy_time = worker_metrics.busy_time;
+
+		if(worker_metrics.busy_since !== null) {
+			busy_time += now - Math.max(worker_metrics.busy_since, this._metrics.since);
+		}
+
+		workers.push({
+			index: i,
+			alive: this.workers[i] !== null,
+			busy: this.worker_busy[i] !== false,
+			busy_time: busy_time,
+			utilisation: elapsed > 0 ? busy_time / elapsed : 0,
+			tasks_finished: worker_metrics.tasks_finished
+		});
+	}
+
+	return {
+		timestamp: now,
+		elapsed: elapsed,
+		queue_depth: this.wait_queue.length,
+		max_queue_depth: this._metrics.max_queue_depth,
+		tasks: {
+			submitted: this._metrics.tasks_submitted,
+			started: this._metrics.tasks_started,
+			finished: this._metrics.tasks_finished,
+			failed: this._metrics.tasks_failed,
+			cancelled: this._metrics.tasks_cancelled,
+			retried: this._metrics.tasks_retried
+		},
+		wait_time: duration_snapshot(this._metrics.wait_time),
+		run_time: duration_snapshot(this._metrics.run_time),
+		bytes_to_workers: this._metrics.bytes_to_workers,
+		bytes_from_workers: this._metrics.bytes_from_workers,
+		workers: workers
+	};
+};
+
+WorkerPool.prototype.number_of_cpus = function() {
+	return this.backend.number_of_cpus();
+};
+
+WorkerPool.prototype.code_string_to_url = function code_string_to_url(code) {
+	return this.backend.code_string_to_url(code);
+};
+
+/**
+ * Terminate all workers and free up memory associated with this thread pool.
+ * Triggers the `pool_terminated` event.
+ *
+ * By default, the workers are terminated immediately. The handles of all
+ * running and waiting tasks are rejected with an error named
+ * `WorkerPool.ERROR_TERMINATED` and `task_cancelled` is emitted for each of
+ * them.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.drain] if true, no new tasks are accepted, but
+ * running and waiting tasks are finished before the pool terminates.
+ */
+WorkerPool.prototype.terminate = function terminate(options) {
+	options = options || {};
+
+	if(this._terminated) {
+		return;
+	}
+
+	if(options.drain) {
+		this._draining = true;
+		this._terminate_if_drained();
+		return;
+	}
+
+	var error = new Error(MSG_POOL_TERMINATED);
+	error.name = WorkerPool.ERROR_TERMINATED;
+
+	var pending = [];
+	var i;
+
+	for(i = 0; i < this.worker_busy.length; ++i) {
+		if(this.worker_busy[i] !== false) {
+			pending.push([this._release_worker(i), i]);
+		}
+	}
+
+	for(i = 0; i < this.wait_queue.length; ++i) {
+		pending.push([this.wait_queue[i], null]);
+	}
+
+	this.wait_queue = [];
+
+	for(i = 0; i < this.workers.length; ++i) {
+		this._clear_idle_timer(i);
+
+		if(this.workers[i] !== null) {
+			this.workers[i].onmessage = null;
+			this.workers[i].onerror = null;
+			this.workers[i].terminate();
+			this.workers[i] = null;
+		}
+
+		this._drop_broadcast_results(i, error);
+	}
+
+	this._terminated = true;
+	this._draining = false;
+
+	for(i = 0; i < pending.length; ++i) {
+		++this._metrics.tasks_cancelled;
+		this.events.emit("task_cancelled", error, pending[i][0], pending[i][1]);
+		pending[i][0]._handle._fail(error, pending[i][1]);
+	}
+
+	this.events.emit("pool_terminated");
+};
+
+/**
+ * Terminates a draining pool once all tasks and broadcasts finished.
+ */
+WorkerPool.prototype._terminate_if_drained = function() {
+	if(!this._draining || this.wait_queue.length !== 0 || this._has_running_tasks()) {
+		return;
+	}
+
+	for(var i = 0; i < this._broadcasts.length; ++i) {
+		if(this._broadcasts[i].state !== null) {
+			return;
+		}
+	}
+
+	this.terminate();
+};
+
+/**
+ * @return {boolean} true, if `#terminate()` was called with the `drain` option
+ * and the pool still finishes its tasks.
+ */
+WorkerPool.prototype.is_draining = function is_draining() {
+	return this._draining;
+};
+
+WorkerPool.prototype.is_terminated = function terminate() {
+	return this._terminated;
+};
+
+/**
+ * Handle of a single task passed to `WorkerPool#run_task`.
+ *
+ * The handle is a thenable, i.e. it can be used like a Promise and resolves
+ * with the unpacked result of its task. The index of the worker that executed
+ * the task is available as `worker_index` as soon as the handle settled.
+ *
+ * MUST NOT be constructed outside of the worker pool.
+ *
+ * @param {Task} task the task this handle belongs to
+ * @param {WorkerPool} pool the pool executing the task
+ */
+function TaskHandle(task, pool) {
+	ASSERT_IS_CTOR(this, TaskHandle);
+
+	this.task = task;
+	this.pool = pool;
+	this.worker_index = null;
+	this.settled = false;
+
+	this._progress_callbacks = [];
+	this._chunk_callbacks = [];
+
+	this.promise = new Promise((function(self) { return function(resolve, reject) {
+		self._resolve = resolve;
+		self._reject = reject;
+	};})(this));
+
+	// results are delivered using events as well. Callers that do not use
+	// the handle should not trigger unhandled rejection warnings.
+	this.promise.catch(function() {});
+}
+
+TaskHandle.prototype.then = function then(on_fulfilled, on_rejected) {
+	return this.promise.then(on_fulfilled, on_rejected);
+};
+
+TaskHandle.prototype.catch = function(on_rejected) {
+	return this.promise.catch(on_rejected);
+};
+
+/**
+ * Cancels the task. See `WorkerPool#cancel_task()`.
+ *
+ * @return {boolean} false, if the task already finished.
+ */
+TaskHandle.prototype.cancel = function cancel() {
+	return this.pool.cancel_task(this.task);
+};
+
+/**
+ * Registers a function that is called with each progress value reported by
+ * the task. See `PROGRESS()`.
+ *
+ * @return {TaskHandle} this handle, to allow chaining
+ */
+TaskHandle.prototype.on_progress = function on_progress(callback) {
+	ASSERT_IS_FUNC(callback);
+
+	this._progress_callbacks.push(callback);
+
+	return this;
+};
+
+TaskHandle.prototype._progress = function _progress(progress) {
+	for(var i = 0; i < this._progress_callbacks.length; ++i) {
+		this._progress_callbacks[i](progress, this.task);
+	}
+};
+
+/**
+ * Registers a function that is called with each chunk emitted by the task, in
+ * the order the chunks were emitted. See `STREAM()`.
+ *
+ * @return {TaskHandle} this handle, to allow chaining
+ */
+TaskHandle.prototype.on_chunk = function on_chunk(callback) {
+	ASSERT_IS_FUNC(callback);
+
+	this._chunk_callbacks.push(callback);
+
+	return this;
+};
+
+TaskHandle.prototype._chunk = function _chunk(chunk) {
+	for(var i = 0; i < this._chunk_callbacks.length; ++i) {
+		this._chunk_callbacks[i](chunk, this.task);
+	}
+};
+
+TaskHandle.prototype._fulfill = function _fulfill(result, worker_index) {
+	ASSERT(!this.settled, "task handle settled twice");
+
+	this.settled = true;
+	this.worker_index = worker_index;
+	this._resolve(result);
+};
+
+TaskHandle.prototype._fail = function _fail(error, worker_index) {
+	ASSERT(!this.settled, "task handle settled twice");
+
+	this.settled = true;
+	this.worker_index = worker_index === undefined ? null : worker_index;
+	this._reject(error);
+};
+
+(ns.CONCURRENCY_JS_SOURCES = ns.CONCURRENCY_JS_SOURCES || {})["workerpool.js"] = "(" + workerpool_module + ")(this);";
 
 })(this);